@@ -0,0 +1,115 @@
+// client/src/AlertsMenu.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import api from "./api";
+import { FaBell } from "react-icons/fa";
+
+const POLL_MS = 60000;
+
+/**
+ * AlertsMenu.jsx
+ * Header bell with the unread watchlist-alert count (polled) and a dropdown of recent alerts
+ */
+export default function AlertsMenu() {
+  const [count, setCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+
+  const refreshCount = useCallback(() => {
+    api
+      .get("/alerts/unread-count")
+      .then((res) => setCount(res.data?.count || 0))
+      .catch((err) => console.error("alert count error:", err?.message || err));
+  }, []);
+
+  useEffect(() => {
+    refreshCount();
+    const t = setInterval(refreshCount, POLL_MS);
+    return () => clearInterval(t);
+  }, [refreshCount]);
+
+  useEffect(() => {
+    if (!open) return;
+    api
+      .get("/alerts", { params: { limit: 10 } })
+      .then((res) => setAlerts(Array.isArray(res.data) ? res.data : []))
+      .catch((err) => console.error("alerts error:", err?.message || err));
+  }, [open]);
+
+  const markRead = async (alert) => {
+    if (alert.isRead) return;
+    try {
+      await api.patch(`/alerts/${alert._id}/read`);
+      setAlerts((prev) => prev.map((a) => (a._id === alert._id ? { ...a, isRead: true } : a)));
+      setCount((c) => Math.max(0, c - 1));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.post("/alerts/read-all");
+      setAlerts((prev) => prev.map((a) => ({ ...a, isRead: true })));
+      setCount(0);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="relative p-2 rounded hover:bg-gray-700 transition"
+        aria-label="Alerts"
+        title="Watchlist alerts"
+      >
+        <FaBell />
+        {count > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] leading-[1.1rem] text-center">
+            {count > 99 ? "99+" : count}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-gray-800 border border-gray-700 rounded shadow-lg z-20 text-sm">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+            <span className="text-xs uppercase text-gray-400">Alerts</span>
+            {count > 0 && (
+              <button onClick={markAllRead} className="text-xs text-blue-400 hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+          {alerts.length === 0 && <div className="px-3 py-4 text-gray-400">No alerts yet.</div>}
+          <ul className="max-h-96 overflow-y-auto">
+            {alerts.map((a) => (
+              <li key={a._id} className={`px-3 py-2 border-b border-gray-700/50 ${a.isRead ? "opacity-60" : ""}`}>
+                <div className="text-xs text-yellow-400">
+                  {a.watchName} · {a.matchedTerms.join(", ")}
+                </div>
+                {a.article ? (
+                  <a
+                    href={a.article.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={() => markRead(a)}
+                    className="block text-gray-100 hover:underline"
+                  >
+                    {a.article.title}
+                  </a>
+                ) : (
+                  <span className="text-gray-500">Article removed</span>
+                )}
+                <div className="text-xs text-gray-500">
+                  {a.article?.source} · {new Date(a.createdAt).toLocaleString()}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
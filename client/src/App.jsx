@@ -1,22 +1,45 @@
 // client/src/App.jsx
 import React from "react";
-import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from "react-router-dom";
 
 import WelcomingPage from "./welcomingpage";
 import Dashboard from "./Dashboard";
+import Login from "./Login";
+import AuthProvider from "./AuthProvider";
+import { useAuth } from "./AuthContext";
+
+// Sends signed-out visitors to /login and back here afterwards
+function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  return children;
+}
 
 export default function App() {
   return (
-    <Router>
-      <Routes>
+    <AuthProvider>
+      <Router>
+        <Routes>
+
+          {/* Welcoming page → default */}
+          <Route path="/" element={<WelcomingPage />} />
 
-        {/* Welcoming page → default */}
-        <Route path="/" element={<WelcomingPage />} />
+          {/* Login / register */}
+          <Route path="/login" element={<Login />} />
 
-        {/* Dashboard */}
-        <Route path="/dashboard" element={<Dashboard />} />
+          {/* Dashboard */}
+          <Route
+            path="/dashboard"
+            element={
+              <RequireAuth>
+                <Dashboard />
+              </RequireAuth>
+            }
+          />
 
-      </Routes>
-    </Router>
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
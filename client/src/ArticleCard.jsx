@@ -1,13 +1,38 @@
 import React, { useState } from "react";
-import { Bookmark, ExternalLink } from "lucide-react";
+import { Bookmark, ExternalLink, StickyNote } from "lucide-react";
 
 /**
  * ArticleCard.jsx
  * Minimal, elegant, Apple-like card
+ * - note indicator and inline editor for the reader's note + tags (onAnnotate)
  */
 
-export default function ArticleCard({ article, onToggleSave, onMarkRead }) {
+export default function ArticleCard({ article, onToggleSave, onMarkRead, onAnnotate }) {
   const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draftNote, setDraftNote] = useState("");
+  const [draftTags, setDraftTags] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const annotation = article.annotation || { note: "", tags: [], highlights: [] };
+  const hasNote = Boolean(annotation.note) || annotation.highlights.length > 0;
+
+  const startEditing = () => {
+    setDraftNote(annotation.note);
+    setDraftTags(annotation.tags.join(", "));
+    setEditing(true);
+  };
+
+  const saveAnnotation = async () => {
+    setSaving(true);
+    try {
+      const tags = draftTags.split(",").map(t => t.trim()).filter(Boolean);
+      await onAnnotate(article._id, { note: draftNote, tags });
+      setEditing(false);
+    } finally {
+      setSaving(false);
+    }
+  };
 
   const imageUrl = article.image || article.imageUrl || article.enclosure || null;
   const shortDesc = article.description ? article.description.slice(0, 180) : "";
@@ -27,23 +52,92 @@ export default function ArticleCard({ article, onToggleSave, onMarkRead }) {
 
       <h3 className="text-lg font-semibold mb-2">{article.title}</h3>
 
-      {article.description ? (
-        <p className="text-sm text-gray-700 mb-4">
-          {expanded ? article.description : shortDesc}
-          {article.description.length > 180 && (
-            <button onClick={() => setExpanded(e => !e)} className="ml-2 text-xs text-black font-medium">
-              {expanded ? "Show less" : "Read more"}
-            </button>
-          )}
+      {article.summary?.length > 0 && !expanded ? (
+        <ul className="text-sm text-gray-700 mb-2 list-disc pl-5 space-y-1">
+          {article.summary.map((sentence, i) => (
+            <li key={i}>{sentence}</li>
+          ))}
+        </ul>
+      ) : article.description ? (
+        <p className="text-sm text-gray-700 mb-2">
+          {expanded || article.summary?.length > 0 ? article.description : shortDesc}
         </p>
       ) : (
         <p className="text-sm text-gray-500 mb-4">No description available.</p>
       )}
 
+      {(article.summary?.length > 0 ? Boolean(article.description) : article.description?.length > 180) && (
+        <button onClick={() => setExpanded(e => !e)} className="self-start mb-4 text-xs text-black font-medium">
+          {article.summary?.length > 0
+            ? expanded ? "Show summary" : "Show full description"
+            : expanded ? "Show less" : "Read more"}
+        </button>
+      )}
+
+      {annotation.tags.length > 0 && !editing && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {annotation.tags.map(tag => (
+            <span key={tag} className="text-xs bg-gray-100 text-gray-700 rounded-full px-2 py-0.5">#{tag}</span>
+          ))}
+        </div>
+      )}
+
+      {hasNote && !editing && (
+        <div className="text-sm text-gray-700 bg-yellow-50 border border-yellow-100 rounded-lg p-3 mb-4">
+          {annotation.note && <p className="whitespace-pre-line">{annotation.note}</p>}
+          {annotation.highlights.map(h => (
+            <blockquote key={h._id} className="mt-2 border-l-2 border-yellow-300 pl-2 italic text-gray-600">
+              “{h.quote}”{h.comment && <span className="not-italic text-gray-500"> — {h.comment}</span>}
+            </blockquote>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <div className="mb-4 space-y-2">
+          <textarea
+            value={draftNote}
+            onChange={e => setDraftNote(e.target.value)}
+            rows={4}
+            placeholder="Why does this matter? (Markdown)"
+            className="w-full text-sm border border-gray-200 rounded-lg p-2"
+          />
+          <input
+            value={draftTags}
+            onChange={e => setDraftTags(e.target.value)}
+            placeholder="Tags, comma separated"
+            className="w-full text-sm border border-gray-200 rounded-lg p-2"
+          />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setEditing(false)} className="text-xs px-3 py-1 rounded-lg bg-gray-100">
+              Cancel
+            </button>
+            <button
+              onClick={saveAnnotation}
+              disabled={saving}
+              className="text-xs px-3 py-1 rounded-lg bg-black text-white disabled:opacity-50"
+            >
+              {saving ? "Saving…" : "Save note"}
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="mt-auto flex items-center justify-between">
         <div className="text-xs text-gray-500">{new Date(article.publishedDate).toLocaleDateString()}</div>
 
         <div className="flex items-center gap-2">
+          {onAnnotate && (
+            <button
+              onClick={() => (editing ? setEditing(false) : startEditing())}
+              className={`p-2 rounded-lg ${hasNote ? "bg-yellow-100 text-yellow-800" : "bg-gray-100"}`}
+              aria-label={hasNote ? "Edit note" : "Add note"}
+              title={hasNote ? "Edit note" : "Add note"}
+            >
+              <StickyNote className="w-4 h-4" />
+            </button>
+          )}
+
           <button
             onClick={() => onToggleSave(article._id)}
             className={`p-2 rounded-lg ${article.isSaved ? "bg-black text-white" : "bg-gray-100"}`}
@@ -1,42 +1,43 @@
 import React, { useCallback, useEffect, useRef, useState } from "react";
-import axios from "axios";
+import api from "./api";
 import ArticleCard from "./ArticleCard";
 
 /**
  * ArticleList.jsx
- * - Stable pagination + IntersectionObserver sentinel
+ * - Cursor pagination + IntersectionObserver sentinel
  * - Renders a responsive grid of ArticleCard
  */
 
-const API_BASE = "http://localhost:5000/api/articles";
 const PAGE_SIZE = 10;
 
 export default function ArticleList({ category = "all", minScore = 1, showSaved = false }) {
   const [articles, setArticles] = useState([]);
-  const [page, setPage] = useState(1); // current page requested
+  const [nextCursor, setNextCursor] = useState(null); // cursor for the next page
   const [loading, setLoading] = useState(false);
   const [hasMore, setHasMore] = useState(true);
 
   const sentinelRef = useRef(null);
 
-  // Fetch a page (pageNumber)
-  const fetchPage = useCallback(async (pageNumber = 1) => {
+  // Fetch a page: no cursor → first page, cursor → append next page
+  const fetchPage = useCallback(async (cursor = null) => {
     if (loading) return;
     setLoading(true);
 
     try {
-      const params = { page: pageNumber, limit: PAGE_SIZE };
+      const params = { limit: PAGE_SIZE };
+      if (cursor) params.cursor = cursor;
       if (category && category !== "all") params.category = category;
       if (minScore) params.minScore = minScore;
       if (showSaved) params.saved = true;
 
-      const res = await axios.get(API_BASE, { params });
-      const data = Array.isArray(res.data) ? res.data : [];
+      const res = await api.get("/articles", { params });
+      const { items = [], nextCursor: next = null } = res.data || {};
 
-      if (pageNumber === 1) setArticles(data);
-      else setArticles((prev) => [...prev, ...data]);
+      if (!cursor) setArticles(items);
+      else setArticles((prev) => [...prev, ...items]);
 
-      setHasMore(data.length === PAGE_SIZE);
+      setNextCursor(next);
+      setHasMore(next !== null);
     } catch (err) {
       console.error("fetchPage error:", err?.message || err);
       setHasMore(false);
@@ -47,18 +48,12 @@ export default function ArticleList({ category = "all", minScore = 1, showSaved
 
   // Reset on filter change
   useEffect(() => {
-    setPage(1);
+    setNextCursor(null);
     setHasMore(true);
     setArticles([]);
-    fetchPage(1);
+    fetchPage();
   }, [category, minScore, showSaved, fetchPage]);
 
-  // Load next pages when `page` increments
-  useEffect(() => {
-    if (page === 1) return; // already fetched by reset
-    fetchPage(page);
-  }, [page, fetchPage]);
-
   // IntersectionObserver sentinel
   useEffect(() => {
     const el = sentinelRef.current;
@@ -67,8 +62,8 @@ export default function ArticleList({ category = "all", minScore = 1, showSaved
     const obs = new IntersectionObserver(
       (entries) => {
         const e = entries[0];
-        if (e.isIntersecting && hasMore && !loading) {
-          setPage((p) => p + 1);
+        if (e.isIntersecting && hasMore && !loading && nextCursor) {
+          fetchPage(nextCursor);
         }
       },
       { root: null, rootMargin: "0px", threshold: 0.3 }
@@ -78,13 +73,13 @@ export default function ArticleList({ category = "all", minScore = 1, showSaved
     return () => {
       obs.disconnect();
     };
-  }, [hasMore, loading]);
+  }, [hasMore, loading, nextCursor, fetchPage]);
 
   // optimistic toggle save handler forwarded to ArticleCard
   const handleToggleSave = async (id) => {
     setArticles((prev) => prev.map(a => a._id === id ? { ...a, isSaved: !a.isSaved } : a));
     try {
-      await axios.patch(`http://localhost:5000/api/articles/${id}/save`);
+      await api.patch(`/articles/${id}/save`);
     } catch (err) {
       console.error("toggleSave failed:", err);
     }
@@ -93,12 +88,23 @@ export default function ArticleList({ category = "all", minScore = 1, showSaved
   const handleMarkRead = async (id) => {
     setArticles((prev) => prev.map(a => a._id === id ? { ...a, isRead: true } : a));
     try {
-      await axios.patch(`http://localhost:5000/api/articles/${id}/read`);
+      await api.patch(`/articles/${id}/read`);
     } catch (err) {
       console.error("markAsRead failed:", err);
     }
   };
 
+  // note + tags from the inline editor (PUT /annotations/:id/note and /tags)
+  const handleAnnotate = async (id, { note, tags }) => {
+    try {
+      await api.put(`/annotations/${id}/note`, { note });
+      const res = await api.put(`/annotations/${id}/tags`, { tags });
+      setArticles((prev) => prev.map(a => a._id === id ? { ...a, notes: res.data.note, annotation: res.data } : a));
+    } catch (err) {
+      console.error("annotate failed:", err);
+    }
+  };
+
   return (
     <>
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -108,6 +114,7 @@ export default function ArticleList({ category = "all", minScore = 1, showSaved
             article={article}
             onToggleSave={() => handleToggleSave(article._id)}
             onMarkRead={() => handleMarkRead(article._id)}
+            onAnnotate={handleAnnotate}
           />
         ))}
       </div>
@@ -0,0 +1,12 @@
+// client/src/AuthContext.js
+import { createContext, useContext } from "react";
+
+/**
+ * Signed-in user + auth actions, provided by AuthProvider.
+ * { user, token, login(email, password), register(name, email, password), logout() }
+ */
+export const AuthContext = createContext(null);
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
@@ -0,0 +1,89 @@
+// client/src/AuthProvider.jsx
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import api from "./api";
+import { AuthContext } from "./AuthContext";
+
+const TOKEN_KEY = "feed.token";
+const USER_KEY = "feed.user";
+
+// Every API call in the app sends the token once signed in
+function applyToken(token) {
+  if (token) api.defaults.headers.common.Authorization = `Bearer ${token}`;
+  else delete api.defaults.headers.common.Authorization;
+}
+
+function readStoredUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+applyToken(localStorage.getItem(TOKEN_KEY));
+
+export default function AuthProvider({ children }) {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [user, setUser] = useState(() => (localStorage.getItem(TOKEN_KEY) ? readStoredUser() : null));
+
+  const setSession = useCallback((nextToken, nextUser) => {
+    if (nextToken) {
+      localStorage.setItem(TOKEN_KEY, nextToken);
+      localStorage.setItem(USER_KEY, JSON.stringify(nextUser));
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+      localStorage.removeItem(USER_KEY);
+    }
+    applyToken(nextToken);
+    setToken(nextToken);
+    setUser(nextUser);
+  }, []);
+
+  const logout = useCallback(() => setSession(null, null), [setSession]);
+
+  const login = useCallback(
+    async (email, password) => {
+      const res = await api.post("/auth/login", { email, password });
+      setSession(res.data.token, res.data.user);
+      return res.data.user;
+    },
+    [setSession]
+  );
+
+  const register = useCallback(
+    async (name, email, password) => {
+      const res = await api.post("/auth/register", { name, email, password });
+      setSession(res.data.token, res.data.user);
+      return res.data.user;
+    },
+    [setSession]
+  );
+
+  // Expired or revoked token → sign out
+  useEffect(() => {
+    const id = api.interceptors.response.use(
+      (res) => res,
+      (err) => {
+        if (err?.response?.status === 401 && token) logout();
+        return Promise.reject(err);
+      }
+    );
+    return () => api.interceptors.response.eject(id);
+  }, [token, logout]);
+
+  // Refresh the stored profile on load
+  useEffect(() => {
+    if (!token) return;
+    api
+      .get("/auth/me")
+      .then((res) => {
+        setUser(res.data);
+        localStorage.setItem(USER_KEY, JSON.stringify(res.data));
+      })
+      .catch((err) => console.error("fetchMe error:", err?.message || err));
+  }, [token]);
+
+  const value = useMemo(() => ({ user, token, login, register, logout }), [user, token, login, register, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
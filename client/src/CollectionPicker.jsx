@@ -0,0 +1,117 @@
+// client/src/CollectionPicker.jsx
+import React, { useEffect, useState } from "react";
+import api from "./api";
+import { FaPlus, FaTimes } from "react-icons/fa";
+
+/**
+ * CollectionPicker.jsx
+ * Dialog opened from a card's bookmark button: the Saved flag plus every collection,
+ * ticked when the article is in it (GET /collections?article=:id)
+ */
+export default function CollectionPicker({ article, onToggleSaved, onChanged, onClose }) {
+  const [collections, setCollections] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get("/collections", { params: { article: article._id } })
+      .then((res) => !cancelled && setCollections(res.data))
+      .catch((err) => !cancelled && setError(err?.response?.data?.error || "Could not load collections."));
+    return () => {
+      cancelled = true;
+    };
+  }, [article._id]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const replace = (updated) => {
+    const next = collections.some((c) => c._id === updated._id)
+      ? collections.map((c) => (c._id === updated._id ? updated : c))
+      : [...collections, updated].sort((a, b) => a.name.localeCompare(b.name));
+    setCollections(next);
+    onChanged?.(next);
+  };
+
+  const toggle = async (collection) => {
+    try {
+      const res = collection.hasArticle
+        ? await api.delete(`/collections/${collection._id}/articles/${article._id}`)
+        : await api.post(`/collections/${collection._id}/articles`, { articleId: article._id });
+      replace(res.data);
+      setError(null);
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not update the collection.");
+    }
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    try {
+      const created = await api.post("/collections", { name });
+      const res = await api.post(`/collections/${created.data._id}/articles`, { articleId: article._id });
+      replace(res.data);
+      setNewName("");
+      setError(null);
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not create the collection.");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/60 flex items-center justify-center" onClick={onClose}>
+      <div
+        className="w-72 bg-gray-900 border border-gray-700 rounded-lg shadow-xl p-4 text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-xs uppercase text-gray-400 truncate">Add “{article.title}” to</span>
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-700" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2 py-1">
+          <input type="checkbox" checked={Boolean(article.isSaved)} onChange={() => onToggleSaved(article._id)} />
+          <span>Saved articles</span>
+        </label>
+
+        <div className="border-t border-gray-700 my-2" />
+
+        {!collections && !error && <div className="text-gray-400 py-1">Loading…</div>}
+
+        <div className="max-h-48 overflow-y-auto">
+          {collections?.map((c) => (
+            <label key={c._id} className="flex items-center gap-2 py-1">
+              <input type="checkbox" checked={Boolean(c.hasArticle)} onChange={() => toggle(c)} />
+              <span className="truncate flex-1">{c.name}</span>
+              <span className="text-xs text-gray-500">{c.articleCount}</span>
+            </label>
+          ))}
+        </div>
+
+        <form onSubmit={create} className="flex gap-2 mt-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New collection"
+            className="flex-1 min-w-0 bg-gray-700 rounded px-2 py-1"
+          />
+          <button type="submit" className="p-2 bg-blue-600 rounded hover:bg-blue-700" aria-label="Create collection">
+            <FaPlus />
+          </button>
+        </form>
+
+        {error && <div className="text-red-300 text-xs mt-2">{error}</div>}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,5 @@
 // client/src/Dashboard.jsx
-import React, { useCallback, useEffect, useRef, useState } from "react";
-import axios from "axios";
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
 import {
   FaBars,
   FaBookmark,
@@ -10,12 +9,85 @@ import {
   FaCog,
   FaExternalLinkAlt,
   FaStar,
+  FaSearch,
+  FaTimes,
+  FaSignOutAlt,
+  FaFire,
+  FaBookOpen,
+  FaDownload,
+  FaFolder,
+  FaStickyNote,
 } from "react-icons/fa";
 import { motion } from "framer-motion";
+import { useAuth } from "./AuthContext";
+import ReaderView from "./ReaderView";
+import CollectionPicker from "./CollectionPicker";
+import AlertsMenu from "./AlertsMenu";
+import NoteEditor from "./NoteEditor";
+import api, { apiUrl } from "./api";
 
-const API_BASE = "https://gaetan-feed.onrender.com/api";
 const LIMIT = 10;
 const PLACEHOLDER_IMAGE = "https://via.placeholder.com/800x450.png?text=No+Image";
+const SEARCH_DEBOUNCE_MS = 300;
+
+const DEFAULT_FILTERS = {
+  minScore: "",
+  maxScore: "",
+  sources: [],
+  from: "",
+  to: "",
+  unread: false,
+  hasNotes: false,
+  tag: "",
+  sort: "publishedDate",
+};
+
+const SORT_OPTIONS = [
+  { key: "publishedDate", label: "Newest" },
+  { key: "relevanceScore", label: "Top stories" },
+  { key: "createdAt", label: "Recently added" },
+];
+
+const EXPORT_FORMATS = [
+  { key: "pdf", label: "PDF briefing" },
+  { key: "md", label: "Markdown" },
+  { key: "csv", label: "CSV" },
+];
+
+// Query parameters for the current view (shared by the list and the export)
+function listParams({ selectedCategory, viewSavedOnly, searchQuery, filters }) {
+  const params = {};
+  if (selectedCategory !== "all") params.category = selectedCategory;
+  if (viewSavedOnly) params.saved = true;
+  if (searchQuery) params.q = searchQuery;
+  if (filters.minScore) params.minScore = filters.minScore;
+  if (filters.maxScore) params.maxScore = filters.maxScore;
+  if (filters.sources.length) params.source = filters.sources.join(",");
+  if (filters.from) params.from = filters.from;
+  if (filters.to) params.to = filters.to;
+  if (filters.unread) params.unread = true;
+  if (filters.hasNotes) params.hasNotes = true;
+  if (filters.tag) params.tag = filters.tag;
+  if (filters.sort !== "publishedDate") params.sort = filters.sort;
+  return params;
+}
+
+// Whether a pushed article (/api/stream) belongs at the top of the current view
+function matchesView(article, { selectedCategory, viewSavedOnly, selectedCollection, searchQuery, filters }) {
+  // saved, collections, search, notes and past date ranges never gain brand-new articles
+  if (viewSavedOnly || selectedCollection || searchQuery || filters.hasNotes || filters.tag || filters.to) return false;
+  if (
+    selectedCategory !== "all" &&
+    article.category !== selectedCategory &&
+    !article.tags?.some((t) => t.category === selectedCategory)
+  )
+    return false;
+  if (filters.minScore && article.relevanceScore < Number(filters.minScore)) return false;
+  if (filters.maxScore && article.relevanceScore > Number(filters.maxScore)) return false;
+  if (filters.sources.length && !filters.sources.includes(article.source)) return false;
+  if (filters.from && new Date(article.publishedDate) < new Date(filters.from)) return false;
+  return true;
+}
 
 const CATEGORY_META = [
   { key: "all", label: "All", icon: <FaChartBar /> },
@@ -27,76 +99,213 @@ const CATEGORY_META = [
   { key: "Uncategorized", label: "Uncategorized", icon: <FaBars /> },
 ];
 
+// Renders [{ text, hit }] segments returned by the search API
+function Highlighted({ segments, fallback }) {
+  if (!segments || segments.length === 0) return fallback;
+  return segments.map((s, i) =>
+    s.hit ? (
+      <mark key={i} className="bg-yellow-400/30 text-inherit rounded px-0.5">
+        {s.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{s.text}</React.Fragment>
+    )
+  );
+}
+
 export default function Dashboard() {
+  const { user, token, logout } = useAuth();
   const [articles, setArticles] = useState([]);
-  const [page, setPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [viewSavedOnly, setViewSavedOnly] = useState(false);
   const [loading, setLoading] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [searchInput, setSearchInput] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [sources, setSources] = useState([]);
+  const [error, setError] = useState(null);
+  const [explainId, setExplainId] = useState(null);
+  const [readerId, setReaderId] = useState(null);
+  const [fullDescId, setFullDescId] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollection, setSelectedCollection] = useState(null);
+  const [pickerId, setPickerId] = useState(null);
+  const [noteId, setNoteId] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [fetchProgress, setFetchProgress] = useState(null);
 
   const observer = useRef(null);
   const lastCardRef = useRef(null);
+  // page height before prepending pushed articles, to keep the reader where they were
+  const scrollAnchor = useRef(null);
+  const viewRef = useRef(null);
+  // AbortController of the article request in flight
+  const requestRef = useRef(null);
+  viewRef.current = { selectedCategory, viewSavedOnly, selectedCollection, searchQuery, filters };
 
   const safe = (v, fallback = "") => (v === undefined || v === null ? fallback : v);
 
-  // Fetch articles
+  const topStories = filters.sort === "relevanceScore";
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const toggleSource = (source) =>
+    setFilters((prev) => ({
+      ...prev,
+      sources: prev.sources.includes(source)
+        ? prev.sources.filter((s) => s !== source)
+        : [...prev.sources, source],
+    }));
+
+  // Fetch articles: no cursor → first page (replace), cursor → next page (append).
+  // A first page cancels whatever is in flight, so a response never lands under a newer query.
   const fetchArticles = useCallback(
-    async (pageNumber = 1) => {
-      if (loading) return;
+    async (cursor = null) => {
+      if (cursor && requestRef.current) return;
+      requestRef.current?.abort();
+      const controller = new AbortController();
+      requestRef.current = controller;
       setLoading(true);
       try {
-        const params = { page: pageNumber, limit: LIMIT };
-        if (selectedCategory !== "all") params.category = selectedCategory;
-        if (viewSavedOnly) params.saved = true;
-
-        const res = await axios.get(`${API_BASE}/articles`, { params });
-        const data = Array.isArray(res.data) ? res.data : [];
+        // collections keep their own order and are not paginated
+        if (selectedCollection) {
+          const res = await api.get(`/collections/${selectedCollection._id}`, { signal: controller.signal });
+          setArticles(res.data.articles || []);
+          setNextCursor(null);
+          setTotal(res.data.articleCount || 0);
+          setHasMore(false);
+          setError(null);
+          return;
+        }
 
-        setArticles((prev) => {
-          // Page 1 → replace articles
-          if (pageNumber === 1) return data;
+        const params = {
+          limit: LIMIT,
+          ...listParams({ selectedCategory, viewSavedOnly, searchQuery, filters }),
+        };
+        if (cursor) params.cursor = cursor;
 
-          // Append for infinite scroll, prevent overwriting
-          if (data.length === 0) return prev;
-          const existingIds = new Set(prev.map((a) => a._id));
-          return [...prev, ...data.filter((a) => !existingIds.has(a._id))];
-        });
+        const res = await api.get("/articles", { params, signal: controller.signal });
+        const { items = [], nextCursor: next = null, total: count = 0 } = res.data || {};
 
-        setHasMore(data.length === LIMIT);
+        setArticles((prev) => (cursor ? [...prev, ...items] : items));
+        setNextCursor(next);
+        setTotal(count);
+        setHasMore(next !== null);
+        setError(null);
       } catch (err) {
+        if (controller.signal.aborted) return;
         console.error("fetchArticles error:", err?.message || err);
+        // 400s carry a readable message about the offending filter
+        setError(err?.response?.data?.error || "Could not load articles.");
+        setHasMore(false);
       } finally {
-        setLoading(false);
+        if (requestRef.current === controller) {
+          requestRef.current = null;
+          setLoading(false);
+        }
       }
     },
-    [selectedCategory, viewSavedOnly, loading]
+    [selectedCategory, viewSavedOnly, selectedCollection, searchQuery, filters]
   );
 
-  // Reset when category or saved filter changes
+  useEffect(() => () => requestRef.current?.abort(), []);
+
+  // Sources for the filter list
   useEffect(() => {
-    setPage(1);
-    setArticles([]);
-    setHasMore(true);
-    fetchArticles(1);
-  }, [selectedCategory, viewSavedOnly]);
+    api
+      .get("/articles/sources")
+      .then((res) => setSources(Array.isArray(res.data) ? res.data : []))
+      .catch((err) => console.error("fetchSources error:", err?.message || err));
+  }, []);
+
+  // Collections for the sidebar
+  useEffect(() => {
+    api
+      .get("/collections")
+      .then((res) => setCollections(Array.isArray(res.data) ? res.data : []))
+      .catch((err) => console.error("fetchCollections error:", err?.message || err));
+  }, []);
+
+  // The reader's own annotation tags for the filter list
+  const fetchTags = useCallback(() => {
+    api
+      .get("/annotations/tags")
+      .then((res) => setTags(Array.isArray(res.data) ? res.data : []))
+      .catch((err) => console.error("fetchTags error:", err?.message || err));
+  }, []);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  // Debounce the search box
+  useEffect(() => {
+    const t = setTimeout(() => setSearchQuery(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [searchInput]);
+
+  // Live events: new articles wait behind the banner, read / save changes from other tabs apply directly
+  useEffect(() => {
+    if (!token) return;
+    const es = new EventSource(apiUrl(`/stream?token=${encodeURIComponent(token)}`));
+
+    es.addEventListener("article.new", (e) => {
+      const { article } = JSON.parse(e.data);
+      if (!matchesView(article, viewRef.current)) return;
+      setPending((prev) => (prev.some((a) => a._id === article._id) ? prev : [article, ...prev]));
+    });
+    es.addEventListener("article.state", (e) => {
+      const { articleId, isRead, isSaved } = JSON.parse(e.data);
+      setArticles((prev) => prev.map((a) => (a._id === articleId ? { ...a, isRead, isSaved } : a)));
+    });
+    es.addEventListener("fetch.progress", (e) => {
+      const progress = JSON.parse(e.data);
+      setFetchProgress(progress.phase === "finished" ? null : progress);
+    });
+
+    return () => es.close();
+  }, [token]);
+
+  const showPending = () => {
+    scrollAnchor.current = document.documentElement.scrollHeight;
+    setArticles((prev) => {
+      const known = new Set(prev.map((a) => a._id));
+      return [...pending.filter((a) => !known.has(a._id)), ...prev];
+    });
+    setTotal((t) => t + pending.length);
+    setPending([]);
+  };
+
+  // After prepending, shift the page by the height the new cards added
+  useLayoutEffect(() => {
+    if (scrollAnchor.current === null) return;
+    window.scrollBy(0, document.documentElement.scrollHeight - scrollAnchor.current);
+    scrollAnchor.current = null;
+  }, [articles]);
 
-  // Load next page for infinite scroll
+  // Reset when category, saved filter, collection, search or sidebar filters change
   useEffect(() => {
-    if (page === 1) return;
-    fetchArticles(page);
-  }, [page]);
+    setPending([]);
+    setArticles([]);
+    setNextCursor(null);
+    setHasMore(true);
+    fetchArticles();
+  }, [selectedCategory, viewSavedOnly, selectedCollection, searchQuery, filters]);
 
   // Infinite scroll observer
   useEffect(() => {
-    if (loading || !hasMore) return;
+    if (loading || !hasMore || !nextCursor) return;
     const node = lastCardRef.current;
     if (!node) return;
 
     const io = new IntersectionObserver(
       (entries) => {
-        if (entries[0].isIntersecting) setPage((p) => p + 1);
+        if (entries[0].isIntersecting) fetchArticles(nextCursor);
       },
       { threshold: 0.5 }
     );
@@ -104,14 +313,25 @@ export default function Dashboard() {
     io.observe(node);
     observer.current = io;
     return () => io.disconnect();
-  }, [loading, hasMore, articles]);
+  }, [loading, hasMore, nextCursor, articles, fetchArticles]);
 
   // Toggle saved
   const toggleSave = async (id) => {
     try {
-      const res = await axios.patch(`${API_BASE}/articles/${id}/save`);
+      const res = await api.patch(`/articles/${id}/save`);
       const updated = res.data;
-      setArticles((prev) => prev.map((a) => (a._id === id ? updated : a)));
+      setArticles((prev) => prev.map((a) => (a._id === id ? { ...a, ...updated } : a)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  // Correct the category (also trains the classifier)
+  const correctCategory = async (id, category) => {
+    try {
+      const res = await api.patch(`/articles/${id}/category`, { category });
+      const updated = res.data;
+      setArticles((prev) => prev.map((a) => (a._id === id ? { ...a, ...updated } : a)));
     } catch (err) {
       console.error(err);
     }
@@ -120,14 +340,55 @@ export default function Dashboard() {
   // Mark as read
   const markAsRead = async (id) => {
     try {
-      const res = await axios.patch(`${API_BASE}/articles/${id}/read`);
+      const res = await api.patch(`/articles/${id}/read`);
       const updated = res.data;
-      setArticles((prev) => prev.map((a) => (a._id === id ? updated : a)));
+      setArticles((prev) => prev.map((a) => (a._id === id ? { ...a, ...updated } : a)));
     } catch (err) {
       console.error(err);
     }
   };
 
+  // Note editor saved: update the card and the tag filter list
+  const annotationSaved = (id, annotation) => {
+    setArticles((prev) => prev.map((a) => (a._id === id ? { ...a, notes: annotation.note, annotation } : a)));
+    setNoteId(null);
+    fetchTags();
+  };
+
+  // Picker changes: refresh sidebar counts, drop the card if it left the open collection
+  const collectionsChanged = (next, articleId) => {
+    setCollections(next);
+    const open = selectedCollection && next.find((c) => c._id === selectedCollection._id);
+    if (open && !open.hasArticle) {
+      setArticles((prev) => prev.filter((a) => a._id !== articleId));
+      setTotal(open.articleCount);
+    }
+  };
+
+  // Download the current view (same filters as the list)
+  const exportArticles = async (format) => {
+    setExportOpen(false);
+    setExporting(true);
+    try {
+      const res = await api.get("/articles/export", {
+        params: { ...listParams({ selectedCategory, viewSavedOnly, searchQuery, filters }), format },
+        responseType: "blob",
+      });
+      const match = /filename="([^"]+)"/.exec(res.headers["content-disposition"] || "");
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = match ? match[1] : `articles.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("export error:", err?.message || err);
+      setError("Export failed.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
   return (
     <div className="flex min-h-screen bg-gray-900 text-gray-100">
       {/* Sidebar */}
@@ -152,9 +413,11 @@ export default function Dashboard() {
               onClick={() => {
                 setSelectedCategory("all");
                 setViewSavedOnly(false);
+                setSelectedCollection(null);
+                updateFilter("sort", "publishedDate");
               }}
-              className={`flex items-center gap-3 w-full px-3 py-2 rounded mb-4 transition-colors ${
-                selectedCategory === "all" && !viewSavedOnly
+              className={`flex items-center gap-3 w-full px-3 py-2 rounded mb-1 transition-colors ${
+                selectedCategory === "all" && !viewSavedOnly && !selectedCollection && !topStories
                   ? "bg-blue-600 text-white"
                   : "hover:bg-gray-700"
               }`}
@@ -163,6 +426,23 @@ export default function Dashboard() {
               <span>All Articles</span>
             </button>
 
+            <button
+              onClick={() => {
+                setSelectedCategory("all");
+                setViewSavedOnly(false);
+                setSelectedCollection(null);
+                updateFilter("sort", "relevanceScore");
+              }}
+              className={`flex items-center gap-3 w-full px-3 py-2 rounded mb-4 transition-colors ${
+                selectedCategory === "all" && !viewSavedOnly && !selectedCollection && topStories
+                  ? "bg-blue-600 text-white"
+                  : "hover:bg-gray-700"
+              }`}
+            >
+              <FaFire />
+              <span>Top Stories</span>
+            </button>
+
             <div className="text-xs uppercase text-gray-400 mb-2">Categories</div>
 
             {CATEGORY_META.map((c) => (
@@ -171,9 +451,10 @@ export default function Dashboard() {
                 onClick={() => {
                   setSelectedCategory(c.key);
                   setViewSavedOnly(false);
+                  setSelectedCollection(null);
                 }}
                 className={`flex items-center gap-3 w-full px-3 py-2 rounded mb-1 transition-colors ${
-                  selectedCategory === c.key && !viewSavedOnly
+                  selectedCategory === c.key && !viewSavedOnly && !selectedCollection
                     ? "bg-blue-600 text-white"
                     : "hover:bg-gray-700"
                 }`}
@@ -188,6 +469,7 @@ export default function Dashboard() {
                 onClick={() => {
                   setViewSavedOnly(true);
                   setSelectedCategory("all");
+                  setSelectedCollection(null);
                 }}
                 className={`flex items-center gap-3 w-full px-3 py-2 rounded transition-colors ${
                   viewSavedOnly ? "bg-green-600 text-white" : "hover:bg-gray-700"
@@ -196,6 +478,143 @@ export default function Dashboard() {
                 <FaBookmark />
                 <span>Saved Articles</span>
               </button>
+
+              {collections.length > 0 && (
+                <div className="text-xs uppercase text-gray-400 mt-4 mb-2">Collections</div>
+              )}
+              {collections.map((c) => (
+                <button
+                  key={c._id}
+                  onClick={() => {
+                    setSelectedCollection(c);
+                    setViewSavedOnly(false);
+                    setSelectedCategory("all");
+                  }}
+                  className={`flex items-center gap-3 w-full px-3 py-2 rounded mb-1 transition-colors ${
+                    selectedCollection?._id === c._id ? "bg-green-600 text-white" : "hover:bg-gray-700"
+                  }`}
+                  title={c.description || c.name}
+                >
+                  <FaFolder />
+                  <span className="truncate flex-1 text-left">{c.name}</span>
+                  <span className="text-xs text-gray-300">{c.articleCount}</span>
+                </button>
+              ))}
+            </div>
+
+            <div className="mt-6 border-t border-gray-700 pt-4 space-y-4 text-sm">
+              <div className="flex items-center justify-between">
+                <span className="text-xs uppercase text-gray-400">Filters</span>
+                <button
+                  onClick={() => setFilters(DEFAULT_FILTERS)}
+                  className="text-xs text-blue-400 hover:underline"
+                >
+                  Reset
+                </button>
+              </div>
+
+              <label className="block">
+                <span className="text-gray-400">Sort by</span>
+                <select
+                  value={filters.sort}
+                  onChange={(e) => updateFilter("sort", e.target.value)}
+                  className="mt-1 w-full bg-gray-700 rounded px-2 py-1"
+                >
+                  {SORT_OPTIONS.map((o) => (
+                    <option key={o.key} value={o.key}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="flex gap-2">
+                {["minScore", "maxScore"].map((key) => (
+                  <label key={key} className="block flex-1">
+                    <span className="text-gray-400">{key === "minScore" ? "Min score" : "Max score"}</span>
+                    <select
+                      value={filters[key]}
+                      onChange={(e) => updateFilter(key, e.target.value)}
+                      className="mt-1 w-full bg-gray-700 rounded px-2 py-1"
+                    >
+                      <option value="">Any</option>
+                      {[1, 2, 3, 4, 5].map((n) => (
+                        <option key={n} value={n}>
+                          {n}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex gap-2">
+                {["from", "to"].map((key) => (
+                  <label key={key} className="block flex-1">
+                    <span className="text-gray-400">{key === "from" ? "From" : "To"}</span>
+                    <input
+                      type="date"
+                      value={filters[key]}
+                      onChange={(e) => updateFilter(key, e.target.value)}
+                      className="mt-1 w-full bg-gray-700 rounded px-2 py-1"
+                    />
+                  </label>
+                ))}
+              </div>
+
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={filters.unread}
+                  onChange={(e) => updateFilter("unread", e.target.checked)}
+                />
+                <span>Unread only</span>
+              </label>
+
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={filters.hasNotes}
+                  onChange={(e) => updateFilter("hasNotes", e.target.checked)}
+                />
+                <span>With notes</span>
+              </label>
+
+              {tags.length > 0 && (
+                <label className="block">
+                  <span className="text-gray-400">Tag</span>
+                  <select
+                    value={filters.tag}
+                    onChange={(e) => updateFilter("tag", e.target.value)}
+                    className="mt-1 w-full bg-gray-700 rounded px-2 py-1"
+                  >
+                    <option value="">Any</option>
+                    {tags.map((t) => (
+                      <option key={t.tag} value={t.tag}>
+                        #{t.tag} ({t.count})
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              {sources.length > 0 && (
+                <div>
+                  <div className="text-gray-400 mb-1">Sources</div>
+                  <div className="max-h-40 overflow-y-auto space-y-1">
+                    {sources.map((source) => (
+                      <label key={source} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={filters.sources.includes(source)}
+                          onChange={() => toggleSource(source)}
+                        />
+                        <span className="truncate">{source}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </nav>
         </div>
@@ -214,35 +633,121 @@ export default function Dashboard() {
             </button>
             <div>
               <h2 className="text-xl sm:text-2xl font-semibold">
-                {viewSavedOnly
+                {selectedCollection
+                  ? selectedCollection.name
+                  : viewSavedOnly
                   ? "Saved Articles"
                   : selectedCategory === "all"
-                  ? "Latest Articles"
+                  ? topStories
+                    ? "Top Stories"
+                    : "Latest Articles"
                   : selectedCategory}
               </h2>
               <p className="text-sm text-gray-400">
-                {viewSavedOnly ? "Showing saved articles" : `Page ${page}`}
+                {selectedCollection
+                  ? selectedCollection.description || `${total} articles`
+                  : searchQuery
+                  ? `Results for “${searchQuery}”`
+                  : viewSavedOnly
+                  ? "Showing saved articles"
+                  : `${articles.length} of ${total} articles`}
+                {fetchProgress && (
+                  <span className="ml-2 text-blue-300">
+                    · Fetching feeds {fetchProgress.done}/{fetchProgress.total}…
+                  </span>
+                )}
               </p>
             </div>
           </div>
 
+          <div className="relative flex-1 max-w-md mx-4">
+            <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search articles…"
+              className="w-full pl-9 pr-9 py-2 rounded bg-gray-700 text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-600"
+            />
+            {searchInput && (
+              <button
+                onClick={() => setSearchInput("")}
+                className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-white"
+                aria-label="Clear search"
+              >
+                <FaTimes />
+              </button>
+            )}
+          </div>
+
           <button
             onClick={() => {
-              setPage(1);
               setArticles([]);
+              setNextCursor(null);
               setHasMore(true);
-              fetchArticles(1);
+              fetchArticles();
             }}
             className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm transition"
           >
             Refresh
           </button>
+
+          <div className="relative ml-2">
+            <button
+              onClick={() => setExportOpen((open) => !open)}
+              disabled={exporting || Boolean(selectedCollection)}
+              className="px-3 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 text-sm transition flex items-center gap-2 disabled:opacity-50"
+            >
+              <FaDownload /> {exporting ? "Exporting…" : "Export"}
+            </button>
+            {exportOpen && (
+              <div className="absolute right-0 mt-2 w-44 bg-gray-800 border border-gray-700 rounded shadow-lg z-20">
+                {EXPORT_FORMATS.map((f) => (
+                  <button
+                    key={f.key}
+                    onClick={() => exportArticles(f.key)}
+                    className="block w-full text-left px-3 py-2 text-sm hover:bg-gray-700"
+                  >
+                    {f.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3 ml-4 text-sm">
+            <AlertsMenu />
+            <span className="hidden sm:inline text-gray-300">{user?.name}</span>
+            <button
+              onClick={logout}
+              className="p-2 rounded hover:bg-gray-700 transition"
+              aria-label="Sign out"
+              title="Sign out"
+            >
+              <FaSignOutAlt />
+            </button>
+          </div>
         </header>
 
         {/* Articles grid */}
         <main className="p-6 overflow-auto bg-gray-900 flex-1">
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {articles.length === 0 && !loading && (
+            {error && (
+              <div className="col-span-full text-center text-red-300 py-4 bg-red-900/30 rounded-lg">
+                {error}
+              </div>
+            )}
+
+            {pending.length > 0 && (
+              <button
+                onClick={showPending}
+                className="col-span-full py-2 rounded-lg bg-blue-600/90 hover:bg-blue-600 text-white text-sm shadow-lg"
+              >
+                {pending.length} new article{pending.length === 1 ? "" : "s"} — show
+              </button>
+            )}
+
+            {articles.length === 0 && !loading && !error && (
               <div className="col-span-full text-center text-gray-400 py-10 bg-gray-800 rounded-lg shadow-lg">
                 No articles found.
               </div>
@@ -267,10 +772,13 @@ export default function Dashboard() {
                   </div>
                   <div className="p-4 flex flex-col flex-1">
                     <div className="flex justify-between items-start">
-                      <h3 className="text-lg font-semibold flex-1 pr-4">{a.title}</h3>
+                      <h3 className="text-lg font-semibold flex-1 pr-4">
+                        <Highlighted segments={a.highlights?.title} fallback={a.title} />
+                      </h3>
                       <button
-                        onClick={() => toggleSave(a._id)}
+                        onClick={() => setPickerId(a._id)}
                         className="p-2 rounded hover:bg-gray-700 transition"
+                        aria-label="Save or add to a collection"
                       >
                         {a.isSaved ? (
                           <FaBookmark className="text-yellow-400" />
@@ -279,21 +787,132 @@ export default function Dashboard() {
                         )}
                       </button>
                     </div>
-                    <p className="text-sm text-gray-400 mt-1">
-                      {a.source} • {new Date(a.publishedDate).toLocaleDateString()}
+                    <p className="text-sm text-gray-400 mt-1 flex items-center gap-2">
+                      <span className="flex-1">
+                        {a.source} • {new Date(a.publishedDate).toLocaleDateString()}
+                      </span>
+                      <button
+                        onClick={() => setNoteId(noteId === a._id ? null : a._id)}
+                        className={a.notes || a.annotation?.tags?.length ? "text-yellow-200 hover:text-yellow-100" : "text-gray-500 hover:text-gray-300"}
+                        title={a.notes || (a.annotation?.tags?.length ? "Edit note and tags" : "Add a note")}
+                        aria-label={a.notes ? "Edit note" : "Add note"}
+                      >
+                        <FaStickyNote />
+                      </button>
+                      {typeof a.relevanceScore === "number" && (
+                        <button
+                          onClick={() => setExplainId(explainId === a._id ? null : a._id)}
+                          className="flex items-center gap-1 text-yellow-400 hover:text-yellow-300"
+                          title="Why this score?"
+                        >
+                          <FaStar /> {a.relevanceScore.toFixed(1)}
+                        </button>
+                      )}
                     </p>
-                    <p className="text-gray-200 mt-2 flex-1 text-sm">{safe(a.description)}</p>
+                    {explainId === a._id && a.scoreExplanation?.length > 0 && (
+                      <ul className="mt-2 text-xs text-gray-400 bg-gray-900/60 rounded p-2 space-y-0.5">
+                        {a.scoreExplanation.map((f) => (
+                          <li key={f.factor} className="flex justify-between gap-2">
+                            <span className="capitalize">{f.factor}</span>
+                            <span className="truncate">{f.detail}</span>
+                            <span className="text-gray-300">+{f.points.toFixed(2)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {a.summary?.length > 0 && !a.highlights && fullDescId !== a._id ? (
+                      <ul className="text-gray-200 mt-2 flex-1 text-sm list-disc pl-5 space-y-1">
+                        {a.summary.map((sentence, i) => (
+                          <li key={i}>{sentence}</li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-gray-200 mt-2 flex-1 text-sm">
+                        <Highlighted segments={a.highlights?.snippet} fallback={safe(a.description)} />
+                      </p>
+                    )}
+                    {a.summary?.length > 0 && !a.highlights && a.description && (
+                      <button
+                        onClick={() => setFullDescId(fullDescId === a._id ? null : a._id)}
+                        className="mt-1 self-start text-xs text-gray-400 hover:text-gray-200"
+                      >
+                        {fullDescId === a._id ? "Show summary" : "Show full description"}
+                      </button>
+                    )}
+                    {noteId === a._id ? (
+                      <NoteEditor
+                        article={a}
+                        onSaved={(annotation) => annotationSaved(a._id, annotation)}
+                        onCancel={() => setNoteId(null)}
+                      />
+                    ) : (
+                      a.annotation?.tags?.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-1">
+                          {a.annotation.tags.map((t) => (
+                            <button
+                              key={t}
+                              onClick={() => updateFilter("tag", t)}
+                              className="text-xs bg-gray-700 text-gray-300 hover:text-white rounded-full px-2 py-0.5"
+                            >
+                              #{t}
+                            </button>
+                          ))}
+                        </div>
+                      )
+                    )}
+                    {a.alsoCoveredBy?.length > 0 && (
+                      <p className="mt-2 text-xs text-gray-400">
+                        Also covered by{" "}
+                        {a.alsoCoveredBy.map((m, i) => (
+                          <React.Fragment key={m._id}>
+                            {i > 0 && ", "}
+                            <a
+                              href={m.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-gray-300 hover:underline"
+                            >
+                              {m.source}
+                            </a>
+                          </React.Fragment>
+                        ))}
+                      </p>
+                    )}
                     <div className="mt-4 flex items-center justify-between text-sm">
-                      <span className="text-gray-400">{a.category}</span>
-                      <a
-                        href={a.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        onClick={() => markAsRead(a._id)}
-                        className="text-blue-500 hover:underline flex items-center gap-1"
+                      <select
+                        value={a.category || "Uncategorized"}
+                        onChange={(e) => correctCategory(a._id, e.target.value)}
+                        className="bg-transparent text-gray-400 hover:text-gray-200 max-w-[60%] truncate focus:outline-none"
+                        title="Wrong category? Pick the right one"
                       >
-                        Read <FaExternalLinkAlt />
-                      </a>
+                        {CATEGORY_META.filter((c) => c.key !== "all").map((c) => (
+                          <option key={c.key} value={c.key} className="bg-gray-800">
+                            {c.label}
+                          </option>
+                        ))}
+                      </select>
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => {
+                            setReaderId(a._id);
+                            markAsRead(a._id);
+                          }}
+                          className="text-gray-300 hover:text-white flex items-center gap-1"
+                          title={a.readingTimeMinutes ? `${a.readingTimeMinutes} min read` : "Open in reader"}
+                        >
+                          <FaBookOpen />
+                          {a.readingTimeMinutes > 0 && <span className="text-xs">{a.readingTimeMinutes}m</span>}
+                        </button>
+                        <a
+                          href={a.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          onClick={() => markAsRead(a._id)}
+                          className="text-blue-500 hover:underline flex items-center gap-1"
+                        >
+                          Read <FaExternalLinkAlt />
+                        </a>
+                      </div>
                     </div>
                   </div>
                 </motion.article>
@@ -304,8 +923,24 @@ export default function Dashboard() {
           {loading && (
             <div className="text-center mt-6 text-gray-400">Loading...</div>
           )}
+          {!loading && !hasMore && articles.length > 0 && (
+            <div className="text-center mt-6 text-gray-500">No more articles</div>
+          )}
         </main>
       </div>
+
+      {readerId && (
+        <ReaderView articleId={readerId} onClose={() => setReaderId(null)} />
+      )}
+
+      {pickerId && articles.some((a) => a._id === pickerId) && (
+        <CollectionPicker
+          article={articles.find((a) => a._id === pickerId)}
+          onToggleSaved={toggleSave}
+          onChanged={(next) => collectionsChanged(next, pickerId)}
+          onClose={() => setPickerId(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,96 @@
+// client/src/Login.jsx
+import React, { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+
+export default function Login() {
+  const { user, login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = location.state?.from || "/dashboard";
+
+  const [mode, setMode] = useState("login");
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (user) return <Navigate to={redirectTo} replace />;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (mode === "login") await login(email, password);
+      else await register(name, email, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err?.response?.data?.error || "Something went wrong, please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-900 text-gray-100 px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-gray-800 rounded-2xl shadow-lg p-6 space-y-4">
+        <h1 className="text-2xl font-bold text-white">
+          {mode === "login" ? "Sign in" : "Create an account"}
+        </h1>
+
+        {mode === "register" && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name"
+            required
+            className="w-full px-3 py-2 rounded bg-gray-700 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          autoComplete="email"
+          required
+          className="w-full px-3 py-2 rounded bg-gray-700 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={mode === "login" ? "current-password" : "new-password"}
+          minLength={mode === "register" ? 8 : undefined}
+          required
+          className="w-full px-3 py-2 rounded bg-gray-700 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+
+        {error && <div className="text-sm text-red-300">{error}</div>}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition disabled:opacity-60"
+        >
+          {submitting ? "Please wait…" : mode === "login" ? "Sign in" : "Create account"}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            setMode(mode === "login" ? "register" : "login");
+            setError(null);
+          }}
+          className="w-full text-sm text-gray-400 hover:text-white"
+        >
+          {mode === "login" ? "No account yet? Register" : "Already registered? Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// client/src/NoteEditor.jsx
+import React, { useState } from "react";
+import api from "./api";
+
+/**
+ * NoteEditor.jsx
+ * Inline editor under a Dashboard card for the reader's note + tags
+ * (PUT /annotations/:id/note and /tags); onSaved gets the updated annotation
+ */
+export default function NoteEditor({ article, onSaved, onCancel }) {
+  const annotation = article.annotation || { note: "", tags: [] };
+  const [note, setNote] = useState(annotation.note);
+  const [tags, setTags] = useState(annotation.tags.join(", "));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await api.put(`/annotations/${article._id}/note`, { note });
+      const res = await api.put(`/annotations/${article._id}/tags`, {
+        tags: tags.split(",").map((t) => t.trim()).filter(Boolean),
+      });
+      onSaved(res.data);
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not save the note.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2">
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        rows={4}
+        placeholder="Why does this matter? (Markdown)"
+        className="w-full text-sm bg-gray-900 text-gray-100 border border-gray-700 rounded-lg p-2 focus:outline-none focus:border-gray-500"
+      />
+      <input
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+        className="w-full text-sm bg-gray-900 text-gray-100 border border-gray-700 rounded-lg p-2 focus:outline-none focus:border-gray-500"
+      />
+      {error && <p className="text-xs text-red-300">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="text-xs px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600">
+          Cancel
+        </button>
+        <button
+          onClick={save}
+          disabled={saving}
+          className="text-xs px-3 py-1 rounded-lg bg-yellow-400 text-gray-900 hover:bg-yellow-300 disabled:opacity-50"
+        >
+          {saving ? "Saving…" : "Save note"}
+        </button>
+      </div>
+    </div>
+  );
+}
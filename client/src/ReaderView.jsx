@@ -0,0 +1,75 @@
+// client/src/ReaderView.jsx
+import React, { useEffect, useState } from "react";
+import api from "./api";
+import { FaExternalLinkAlt, FaTimes } from "react-icons/fa";
+
+/**
+ * ReaderView.jsx
+ * Full-screen overlay with the extracted article text (GET /articles/:id/content)
+ */
+export default function ReaderView({ articleId, onClose }) {
+  const [content, setContent] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/articles/${articleId}/content`)
+      .then((res) => !cancelled && setContent(res.data))
+      .catch((err) => !cancelled && setError(err?.response?.data?.error || "Could not load the article text."));
+    return () => {
+      cancelled = true;
+    };
+  }, [articleId]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/70 flex justify-center overflow-y-auto" onClick={onClose}>
+      <div
+        className="relative bg-gray-50 text-gray-900 w-full max-w-3xl my-8 mx-4 rounded-2xl shadow-2xl p-6 sm:p-10 h-fit"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-2 rounded hover:bg-gray-200"
+          aria-label="Close reader"
+        >
+          <FaTimes />
+        </button>
+
+        {!content && !error && <div className="text-gray-500 py-10 text-center">Loading article…</div>}
+
+        {error && <div className="text-red-600 py-10 text-center">{error}</div>}
+
+        {content && (
+          <article>
+            <p className="text-sm text-gray-500">
+              {content.source} • {new Date(content.publishedDate).toLocaleDateString()} •{" "}
+              {content.readingTimeMinutes} min read
+            </p>
+            <h1 className="text-2xl sm:text-3xl font-bold mt-2 mb-6">{content.title}</h1>
+            {content.paragraphs.map((p, i) => (
+              <p key={i} className="mb-4 leading-relaxed text-lg">
+                {p}
+              </p>
+            ))}
+            <a
+              href={content.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-2 mt-4 text-blue-600 hover:underline"
+            >
+              Read on {content.source} <FaExternalLinkAlt />
+            </a>
+          </article>
+        )}
+      </div>
+    </div>
+  );
+}
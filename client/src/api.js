@@ -0,0 +1,16 @@
+// client/src/api.js
+import axios from "axios";
+import config from "./config";
+
+/**
+ * The one HTTP client for the API: paths are relative to config.apiBase ("/articles", "/auth/me").
+ * AuthProvider sets the Authorization header and the 401 handling on it.
+ */
+const api = axios.create({ baseURL: config.apiBase });
+
+/* Full URL for clients that cannot go through axios (EventSource, plain links) */
+export function apiUrl(path) {
+  return `${config.apiBase}${path}`;
+}
+
+export default api;
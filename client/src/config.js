@@ -0,0 +1,32 @@
+// client/src/config.js
+
+/**
+ * Build-time configuration from Vite env variables (.env, .env.local, .env.production...)
+ * - VITE_API_URL: the API root, absolute (https://host/api) or same-origin (/api);
+ *   defaults to the local server in `vite dev` and the hosted API in builds
+ * An invalid value fails at load time instead of sending requests to the wrong place.
+ *
+ * @typedef {Object} AppConfig
+ * @property {string} apiBase API root without a trailing slash, e.g. "https://gaetan-feed.onrender.com/api"
+ */
+
+const DEFAULT_API_URL = import.meta.env.DEV ? "http://localhost:5000/api" : "https://gaetan-feed.onrender.com/api";
+
+function parseApiUrl(raw) {
+  const value = String(raw).trim().replace(/\/+$/, "");
+  if (value.startsWith("/")) return value;
+  try {
+    const url = new URL(value);
+    if (url.protocol === "http:" || url.protocol === "https:") return value;
+  } catch {
+    // reported below
+  }
+  throw new Error(`VITE_API_URL must be an http(s) URL or a path starting with "/", got "${raw}"`);
+}
+
+/** @type {Readonly<AppConfig>} */
+const config = Object.freeze({
+  apiBase: parseApiUrl(import.meta.env.VITE_API_URL || DEFAULT_API_URL),
+});
+
+export default config;
@@ -2,14 +2,15 @@
 import React, { useEffect, useState, useRef } from "react";
 import { motion } from "framer-motion";
 import { Link } from "react-router-dom";
+import { useAuth } from "./AuthContext";
 
-const USER_NAME = "Gaetan Youmbi";
 const fullText = "Global Intelligence. Powered by AI, curated for you.";
 
 // Local finance image
 const FINANCE_IMAGE = "/Imeuble.jpg";
 
 export default function WelcomingPage() {
+  const { user } = useAuth();
   const [typedText, setTypedText] = useState("");
   const videoRef = useRef(null);
 
@@ -51,7 +52,11 @@ export default function WelcomingPage() {
           className="space-y-6 max-w-lg"
         >
           <h1 className="text-5xl md:text-6xl font-extrabold">
-            Welcome, <span className="text-blue-400">{USER_NAME}</span>
+            Welcome{user && (
+              <>
+                , <span className="text-blue-400">{user.name}</span>
+              </>
+            )}
           </h1>
           <p className="text-lg md:text-xl text-gray-300">
             <span className="font-medium text-white">Want to know what's happening around the world?</span>{" "}
@@ -64,6 +69,14 @@ export default function WelcomingPage() {
             >
               Enter Dashboard
             </Link>
+            {!user && (
+              <Link
+                to="/login"
+                className="px-6 py-3 border border-white/30 rounded-xl text-lg font-semibold hover:bg-white/10"
+              >
+                Sign in
+              </Link>
+            )}
           </div>
           <div className="mt-6 text-sm text-gray-300">
             <span className="font-medium text-white">Tip:</span> Explore the finance overview.
@@ -96,7 +109,7 @@ export default function WelcomingPage() {
 
       {/* Footer */}
       <div className="absolute bottom-6 left-6 text-xs text-slate-400">
-        © {new Date().getFullYear()} {USER_NAME} — Private Intelligence Feed
+        © {new Date().getFullYear()} {user ? `${user.name} — ` : ""}Private Intelligence Feed
       </div>
     </div>
   );
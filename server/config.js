@@ -0,0 +1,148 @@
+// server/config.js
+import { readFileSync } from 'fs';
+import net from 'net';
+import cron from 'node-cron';
+
+/**
+ * Server configuration
+ * - read from the environment (.env through dotenv), optionally over a JSON file named by
+ *   CONFIG_FILE that uses the same variable names as keys; the environment wins
+ * - every setting is validated: loadConfig() throws one error listing all problems, and
+ *   server.js refuses to start on it
+ * - services read it through getConfig(), lazily: modules are imported before server.js
+ *   runs dotenv.config()
+ * - JWT_SECRET is required when NODE_ENV=production
+ * Mail settings and the like (SMTP_*, ADMIN_EMAILS...) stay with the services that use them.
+ */
+
+const DEFAULT_ORIGINS = 'https://gaetan-feed.vercel.app';
+
+function integer(min, max) {
+  return (raw, name) => {
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${name} must be an integer between ${min} and ${max}, got "${raw}"`);
+    return n;
+  };
+}
+
+function mongoUri(raw, name) {
+  if (!/^mongodb(\+srv)?:\/\/\S+$/.test(raw)) throw new Error(`${name} must be a mongodb:// or mongodb+srv:// URI`);
+  return raw;
+}
+
+function cronSchedule(raw, name) {
+  if (!cron.validate(raw)) throw new Error(`${name} is not a valid cron expression: "${raw}"`);
+  return raw;
+}
+
+/* Comma separated origins; `*` matches one host label, e.g. https://gaetan-feed-*.vercel.app for previews */
+function origins(raw, name) {
+  const list = raw.split(',').map((o) => o.trim()).filter(Boolean);
+  if (list.length === 0) throw new Error(`${name} must list at least one origin`);
+  return list.map((origin) => {
+    const probe = origin.replace(/\*/g, 'x');
+    let url;
+    try {
+      url = new URL(probe);
+    } catch {
+      throw new Error(`${name}: "${origin}" is not an origin (scheme://host[:port])`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.origin !== probe) {
+      throw new Error(`${name}: "${origin}" is not an origin (scheme://host[:port], no path)`);
+    }
+    if (!origin.includes('*')) return origin;
+    const pattern = origin.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[a-z0-9-]+');
+    return new RegExp(`^${pattern}$`, 'i');
+  });
+}
+
+/* express "trust proxy": a hop count, true/false, or a list of addresses / presets like "loopback" */
+function trustProxy(raw) {
+  if (raw === 'true') return true;
+  if (raw === 'false' || raw === '') return false;
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+/* Comma separated host names or IPs, lowercased; `example.com` and `*.example.com` also cover subdomains */
+function hostList(raw, name) {
+  const list = raw.split(',').map((h) => h.trim().toLowerCase().replace(/^\*\./, '')).filter(Boolean);
+  const bad = list.filter((h) => !net.isIP(h) && !/^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?)*$/.test(h));
+  if (bad.length) throw new Error(`${name}: not host names: ${bad.join(', ')}`);
+  return Object.freeze(list);
+}
+
+/* Empty means unset (a random per-process secret outside production) */
+function jwtSecret(raw, name) {
+  if (raw === '') return null;
+  if (raw.length < 16) throw new Error(`${name} must be at least 16 characters`);
+  return raw;
+}
+
+// env name -> [config key, parser, default]
+const SETTINGS = {
+  PORT: ['port', integer(1, 65535), '5000'],
+  MONGODB_URI: ['mongoUri', mongoUri, 'mongodb://localhost:27017/cfo-feeds'],
+  CORS_ORIGINS: ['corsOrigins', origins, DEFAULT_ORIGINS],
+  TRUST_PROXY: ['trustProxy', trustProxy, ''],
+
+  FETCH_CRON: ['fetchCron', cronSchedule, '*/15 * * * *'],
+  SCORE_CRON: ['scoreCron', cronSchedule, '30 * * * *'],
+  DIGEST_DAILY_CRON: ['digestDailyCron', cronSchedule, '0 7 * * *'],
+  DIGEST_WEEKLY_CRON: ['digestWeeklyCron', cronSchedule, '0 7 * * 1'],
+
+  FEED_TIMEOUT_MS: ['feedTimeoutMs', integer(1000, 120000), '20000'],
+  SCRAPE_TIMEOUT_MS: ['scrapeTimeoutMs', integer(1000, 120000), '10000'],
+  FEED_RETRIES: ['feedRetries', integer(0, 10), '2'],
+  SCRAPE_CONCURRENCY: ['scrapeConcurrency', integer(1, 32), '4'],
+  FETCH_MAX_FEED_BYTES: ['maxFeedBytes', integer(1024, 100 * 1024 * 1024), String(5 * 1024 * 1024)],
+  FETCH_MAX_PAGE_BYTES: ['maxPageBytes', integer(1024, 100 * 1024 * 1024), String(2 * 1024 * 1024)],
+  FETCH_ALLOWED_HOSTS: ['fetchAllowedHosts', hostList, ''],
+  FETCH_BLOCKED_HOSTS: ['fetchBlockedHosts', hostList, ''],
+
+  RATE_LIMIT_PER_MINUTE: ['rateLimitPerMinute', integer(1, 100000), '300'],
+  RATE_LIMIT_ANONYMOUS_PER_MINUTE: ['rateLimitAnonymousPerMinute', integer(1, 100000), '60'],
+
+  JWT_SECRET: ['jwtSecret', jwtSecret, '']
+};
+
+let cached = null;
+
+function readConfigFile(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`CONFIG_FILE ${path} could not be read: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`CONFIG_FILE ${path} must hold a JSON object`);
+  const unknown = Object.keys(data).filter((name) => !SETTINGS[name]);
+  if (unknown.length) throw new Error(`CONFIG_FILE ${path} has unknown settings: ${unknown.join(', ')}`);
+  return data;
+}
+
+/* Validates and caches the configuration; throws an Error listing every invalid setting */
+export function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+
+  const config = {};
+  const problems = [];
+  for (const [name, [key, parse, fallback]] of Object.entries(SETTINGS)) {
+    const raw = env[name] ?? (file[name] === undefined ? undefined : String(file[name]));
+    try {
+      config[key] = parse(raw === undefined || raw.trim() === '' ? fallback : raw.trim(), name);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  if (env.NODE_ENV === 'production' && !config.jwtSecret && !problems.some((p) => p.startsWith('JWT_SECRET'))) {
+    problems.push('JWT_SECRET must be set in production');
+  }
+  if (problems.length) throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+
+  cached = Object.freeze(config);
+  return cached;
+}
+
+export function getConfig() {
+  return cached || loadConfig();
+}
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import ApiKey from '../models/apiKeys.js';
+import User from '../models/users.js';
+import { API_KEY_PREFIX, hashApiKey, verifyToken } from '../services/authServices.js';
+
+const AUTH_ERROR_CODES = { 401: 'unauthorized', 403: 'forbidden', 429: 'rate_limited' };
+// lastUsedAt is only written this often per key
+const KEY_TOUCH_MS = 60 * 1000;
+
+/* The one shape of every 401 / 403 / 429: { error, code, ...extra } */
+export function denied(res, status, message, extra = {}) {
+  return res.status(status).json({ error: message, code: AUTH_ERROR_CODES[status], ...extra });
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+function userFromToken(token) {
+  const payload = verifyToken(token);
+  if (!payload || !mongoose.isValidObjectId(payload.sub)) return null;
+  return { id: new mongoose.Types.ObjectId(payload.sub), name: payload.name };
+}
+
+/* -> req.user for a live API key (role and custom rate limit only while the owner is an admin), or null */
+async function userFromApiKey(key) {
+  const found = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null }).populate('user', 'name role').lean();
+  if (!found?.user || (found.expiresAt && found.expiresAt <= new Date())) return null;
+
+  if (!found.lastUsedAt || Date.now() - found.lastUsedAt > KEY_TOUCH_MS) {
+    ApiKey.updateOne({ _id: found._id }, { $set: { lastUsedAt: new Date() } }).catch((err) =>
+      console.error('API key touch failed:', err.message)
+    );
+  }
+  const ownerIsAdmin = found.user.role === 'admin';
+  return {
+    id: found.user._id,
+    name: found.user.name,
+    role: ownerIsAdmin ? found.role : 'reader',
+    apiKey: found._id,
+    rateLimit: ownerIsAdmin ? found.rateLimitPerMinute : null
+  };
+}
+
+/* Authenticates `credential` (API key or JWT) into req.user; a bad API key is a 401, a bad JWT is ignored */
+async function authenticate(req, res, credential, next) {
+  try {
+    if (credential?.startsWith(API_KEY_PREFIX)) {
+      const user = await userFromApiKey(credential);
+      if (!user) return denied(res, 401, 'Invalid, revoked or expired API key');
+      req.user = user;
+    } else if (credential) {
+      const user = userFromToken(credential);
+      if (user) req.user = user;
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/* Sets req.user = { id, name } (plus role / apiKey for API keys) from `X-API-Key` or
+   `Authorization: Bearer <jwt | api key>`, otherwise continues anonymously */
+export function optionalAuth(req, res, next) {
+  if (req.user) return next();
+  authenticate(req, res, req.headers['x-api-key'] || bearerToken(req), next);
+}
+
+/* Like optionalAuth, but answers 401 when there is no valid token */
+export function requireAuth(req, res, next) {
+  optionalAuth(req, res, () => {
+    if (!req.user) return denied(res, 401, 'Authentication required');
+    next();
+  });
+}
+
+/* requireAuth plus the admin role (403 otherwise). JWTs carry no role: it is read from the account,
+   so a removed admin loses access right away */
+export function requireAdmin(req, res, next) {
+  requireAuth(req, res, async () => {
+    try {
+      if (!req.user.role) {
+        const user = await User.findById(req.user.id).select('role').lean();
+        if (!user) return denied(res, 401, 'Account no longer exists');
+        req.user.role = user.role;
+      }
+      if (req.user.role !== 'admin') return denied(res, 403, 'Admin role required');
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+/* For clients that cannot send headers (feed readers, EventSource): like optionalAuth, but ?token=
+   (a JWT or an API key) also works */
+export function feedAuth(req, res, next) {
+  if (req.user || !req.query.token) return optionalAuth(req, res, next);
+  authenticate(req, res, String(req.query.token), () => optionalAuth(req, res, next));
+}
@@ -0,0 +1,66 @@
+import { denied } from './auth.js';
+import { getConfig } from '../config.js';
+
+/**
+ * Per-caller rate limiting in one-minute windows (in memory, per process)
+ * - signed-in callers share one budget per user, whether they use a token or any number of API keys;
+ *   an API key with its own rateLimitPerMinute (admins only) also has a budget of its own
+ * - everyone else is counted per IP address
+ * - limits: the key's rateLimitPerMinute, else RATE_LIMIT_PER_MINUTE for signed-in callers,
+ *   RATE_LIMIT_ANONYMOUS_PER_MINUTE for everyone else (config.js); a user budget is never below
+ *   the limit of the key in use
+ * - runs after the auth middleware; answers 429 with Retry-After once a window is used up
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+const windows = new Map();
+
+/* -> [{ key, limit }], every one of them is counted */
+function budgetsOf(req) {
+  const { rateLimitPerMinute, rateLimitAnonymousPerMinute } = getConfig();
+  if (!req.user) return [{ key: `ip:${req.ip}`, limit: rateLimitAnonymousPerMinute }];
+
+  const budgets = [{ key: `user:${req.user.id}`, limit: Math.max(rateLimitPerMinute, req.user.rateLimit || 0) }];
+  if (req.user.apiKey && req.user.rateLimit) budgets.push({ key: `key:${req.user.apiKey}`, limit: req.user.rateLimit });
+  return budgets;
+}
+
+function hit(key, now) {
+  let window = windows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + WINDOW_MS };
+    windows.set(key, window);
+  }
+  window.count += 1;
+  return window;
+}
+
+export function rateLimit(req, res, next) {
+  const now = Date.now();
+  const counted = budgetsOf(req).map(({ key, limit }) => ({ limit, window: hit(key, now) }));
+  // the headers describe the budget closest to running out
+  const { limit, window } = counted.reduce((a, b) =>
+    b.limit - b.window.count < a.limit - a.window.count ? b : a
+  );
+
+  const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+  if (window.count > limit) {
+    res.set('Retry-After', String(resetSeconds));
+    return denied(res, 429, 'Too many requests, try again later', { retryAfter: resetSeconds });
+  }
+  next();
+}
+
+// drop finished windows so the map does not grow with every IP ever seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+}, WINDOW_MS).unref();
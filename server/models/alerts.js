@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/* One watch matching one new article */
+const alertSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  watch: { type: mongoose.Schema.Types.ObjectId, ref: 'Watch', required: true },
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+  watchName: { type: String },
+  matchedTerms: [String],
+  isRead: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  // outgoing webhook, 'none' when the watch has no webhookUrl
+  delivery: {
+    status: { type: String, enum: ['none', 'pending', 'sent', 'failed'], default: 'none' },
+    attempts: { type: Number, default: 0 },
+    httpStatus: { type: Number, default: null },
+    lastError: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+    // last manual retry (POST /api/alerts/:id/redeliver), throttled per alert and per user
+    redeliveredAt: { type: Date, default: null }
+  }
+}, { timestamps: true });
+
+alertSchema.index({ watch: 1, article: 1 }, { unique: true });
+alertSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+export default mongoose.model('Alert', alertSchema);
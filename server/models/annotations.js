@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/* A user's annotations on one article: a markdown note, free-form tags and highlighted quotes.
+   Article.annotations references these documents. */
+const annotationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+  note: { type: String, default: '', maxlength: 20000 },
+  tags: [{ type: String, lowercase: true, trim: true, minlength: 1, maxlength: 40 }],
+  highlights: [{
+    quote: { type: String, required: true, trim: true, maxlength: 1000 },
+    comment: { type: String, trim: true, default: '', maxlength: 2000 },
+    createdAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+annotationSchema.index({ user: 1, article: 1 }, { unique: true });
+annotationSchema.index({ user: 1, tags: 1 });
+
+export default mongoose.model('Annotation', annotationSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/* A user's API key for scripts and other non-browser clients; only the SHA-256 of the key is kept */
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // first characters of the key, to tell keys apart in listings
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true, select: false },
+  // never more than the owner's own role
+  role: { type: String, enum: ['reader', 'admin'], default: 'reader' },
+  // requests per minute, overrides RATE_LIMIT_PER_MINUTE for this key; set by admins only, ignored once the
+  // owner is no longer one
+  rateLimitPerMinute: { type: Number, min: 1, max: 10000, default: null },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -1,31 +1,99 @@
 import mongoose from 'mongoose';
 
+export const CATEGORIES = [
+  'Capital Strategy',
+  'Private Markets & M&A',
+  'Operational Excellence',
+  'Leadership & Conscious CFO',
+  'Africa Finance',
+  'Uncategorized'
+];
+
 const articleSchema = new mongoose.Schema({
   title: { type: String, required: true },
   url: { type: String, required: true, unique: true },
   source: { type: String, required: true },
   category: {
     type: String,
-    enum: [
-      'Capital Strategy',
-      'Private Markets & M&A',
-      'Operational Excellence',
-      'Leadership & Conscious CFO',
-      'Africa Finance',
-      'Uncategorized'
-    ],
+    enum: CATEGORIES,
     default: 'Uncategorized'
   },
+  // who decided `category`: keyword rules, the trained model, the feed default or a user
+  categorySource: { type: String, enum: ['rules', 'model', 'feed', 'manual'], default: 'rules' },
+  // latest classifier prediction, kept even when the rules won
+  prediction: {
+    type: new mongoose.Schema({
+      category: { type: String, enum: CATEGORIES },
+      confidence: { type: Number, min: 0, max: 1 }
+    }, { _id: false }),
+    default: null
+  },
+  // every category the rules matched, best first; `category` is the top tag
+  tags: [{
+    _id: false,
+    category: { type: String, enum: CATEGORIES },
+    score: { type: Number },
+    confidence: { type: Number, min: 0, max: 1 }
+  }],
   description: { type: String },
+  // readable body text (extractionServices.js); only fetched by GET /api/articles/:id/content
+  contentText: { type: String, default: '', select: false },
+  wordCount: { type: Number, default: 0 },
+  readingTimeMinutes: { type: Number, default: 0 },
+  contentStatus: { type: String, enum: ['none', 'ok', 'empty', 'failed'], default: 'none' },
+  contentExtractedAt: { type: Date, default: null },
+  // extractive summary (summaryServices.js), up to three sentences in reading order
+  summary: { type: [String], default: [] },
+  summarizedAt: { type: Date, default: null },
   image: { type: String, default: null },
   publishedDate: { type: Date, default: Date.now },
   relevanceScore: { type: Number, min: 1, max: 5, default: 3 },
-  isRead: { type: Boolean, default: false },
-  isSaved: { type: Boolean, default: false }
+  // how the score was built, see scoringServices.js
+  scoreExplanation: [{
+    _id: false,
+    factor: { type: String },
+    value: { type: Number },
+    weight: { type: Number },
+    points: { type: Number },
+    detail: { type: String }
+  }],
+  scoredAt: { type: Date, default: null },
+  // engagement or source weight changed since scoredAt; picked up by recomputeScores()
+  scoreStale: { type: Boolean, default: false },
+  // near-duplicate clustering, see dedupServices.js
+  story: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', default: null },
+  storyLead: { type: Boolean, default: true },
+  dedup: {
+    type: new mongoose.Schema({
+      signature: [Number],
+      bands: [String]
+    }, { _id: false }),
+    default: null,
+    select: false
+  },
+  // totals across users; read / saved state itself is per user, see UserArticleState
+  engagement: {
+    reads: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 }
+  },
+  // every user's Annotation on this article; callers only ever see their own (annotationServices.js)
+  annotations: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Annotation' }],
+    default: [],
+    select: false
+  }
 }, { timestamps: true });
 
 articleSchema.index({ category: 1, publishedDate: -1 });
+articleSchema.index({ publishedDate: -1, _id: -1 });
 articleSchema.index({ relevanceScore: -1 });
-articleSchema.index({ isSaved: 1, isRead: 1 });
+articleSchema.index({ scoreStale: 1 }, { partialFilterExpression: { scoreStale: true } });
+articleSchema.index({ 'tags.category': 1, publishedDate: -1 });
+articleSchema.index({ story: 1 });
+articleSchema.index({ 'dedup.bands': 1, publishedDate: -1 });
+articleSchema.index(
+  { title: 'text', description: 'text', source: 'text' },
+  { name: 'article_text', weights: { title: 10, description: 3, source: 2 } }
+);
 
 export default mongoose.model('Article', articleSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+import { CATEGORIES } from './articles.js';
+
+/* A user's category fix for an article; the training data for the local classifier */
+const categoryCorrectionSchema = new mongoose.Schema({
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  fromCategory: { type: String, enum: CATEGORIES },
+  toCategory: { type: String, enum: CATEGORIES, required: true },
+  // snapshot of the text the label applies to
+  title: { type: String, default: '' },
+  description: { type: String, default: '' }
+}, { timestamps: true });
+
+categoryCorrectionSchema.index({ article: 1, createdAt: -1 });
+
+export default mongoose.model('CategoryCorrection', categoryCorrectionSchema);
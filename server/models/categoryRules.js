@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { CATEGORIES } from './articles.js';
+
+/**
+ * One keyword / phrase / regex that votes for a category.
+ * - word:   whole word or phrase, plural "s"/"es" allowed ("rate" matches "rates", not "corporate")
+ * - exact:  whole word or phrase, nothing appended
+ * - regex:  case-insensitive regular expression
+ */
+const categoryRuleSchema = new mongoose.Schema({
+  category: { type: String, enum: CATEGORIES.filter((c) => c !== 'Uncategorized'), required: true },
+  pattern: { type: String, required: true, trim: true },
+  matchType: { type: String, enum: ['word', 'exact', 'regex'], default: 'word' },
+  weight: { type: Number, min: 0, max: 10, default: 1 },
+  // a hit in the title counts titleBoost times, a hit in the description bodyBoost times
+  titleBoost: { type: Number, min: 0, max: 10, default: 2 },
+  bodyBoost: { type: Number, min: 0, max: 10, default: 1 },
+  enabled: { type: Boolean, default: true }
+}, { timestamps: true });
+
+categoryRuleSchema.path('pattern').validate(function (value) {
+  if (this.matchType !== 'regex') return true;
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}, 'Invalid regular expression');
+
+categoryRuleSchema.index({ category: 1, pattern: 1, matchType: 1 }, { unique: true });
+
+export default mongoose.model('CategoryRule', categoryRuleSchema);
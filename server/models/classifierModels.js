@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+/* Trained naive Bayes parameters; only the latest document is used */
+const classifierModelSchema = new mongoose.Schema({
+  kind: { type: String, default: 'naive-bayes' },
+  samples: { type: Number, default: 0 },
+  vocabularySize: { type: Number, default: 0 },
+  // { [category]: number of training documents }
+  docCounts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // { [category]: total token count }
+  tokenTotals: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // { [category]: { [token]: count } }
+  tokenCounts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // evaluation of a model trained without the held-out corrections
+  evaluation: {
+    trainSize: { type: Number, default: 0 },
+    heldOut: { type: Number, default: 0 },
+    correct: { type: Number, default: 0 },
+    accuracy: { type: Number, default: null },
+    perCategory: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }
+}, { timestamps: true, minimize: false });
+
+classifierModelSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ClassifierModel', classifierModelSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+export const MAX_ARTICLES = 500;
+
+/* A user's reading list ("Q3 board deck", "Nigeria FX"): articles in the owner's order */
+const collectionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, trim: true, default: '', maxlength: 2000 },
+  articles: {
+    type: [{
+      _id: false,
+      article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+      addedAt: { type: Date, default: Date.now }
+    }],
+    validate: [(articles) => articles.length <= MAX_ARTICLES, `At most ${MAX_ARTICLES} articles per collection`]
+  }
+}, { timestamps: true });
+
+collectionSchema.index({ user: 1, name: 1 }, { unique: true });
+collectionSchema.index({ user: 1, 'articles.article': 1 });
+
+export default mongoose.model('Collection', collectionSchema);
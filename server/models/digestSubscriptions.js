@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { CATEGORIES } from './articles.js';
+
+export const MAX_RECIPIENTS = 20;
+
+/* Email digest settings: sent to the owner (unread articles only) or, when `recipients` is set, to a mailing list
+   (addresses other than the owner's are for admins only, see routes/digests.js) */
+const digestSubscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true, default: 'My digest' },
+  frequency: { type: String, enum: ['daily', 'weekly'], default: 'daily' },
+  // empty: every category
+  categories: [{ type: String, enum: CATEGORIES }],
+  perCategory: { type: Number, min: 1, max: 20, default: 3 },
+  minScore: { type: Number, min: 1, max: 5, default: 1 },
+  recipients: {
+    type: [{ type: String, lowercase: true, trim: true, match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Invalid email address'] }],
+    default: [],
+    validate: [(list) => list.length <= MAX_RECIPIENTS, `At most ${MAX_RECIPIENTS} recipients`]
+  },
+  enabled: { type: Boolean, default: true },
+  lastSentAt: { type: Date, default: null },
+  lastError: { type: String, default: null }
+}, { timestamps: true });
+
+digestSubscriptionSchema.index({ enabled: 1, frequency: 1 });
+digestSubscriptionSchema.index({ user: 1 });
+
+export default mongoose.model('DigestSubscription', digestSubscriptionSchema);
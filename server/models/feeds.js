@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { CATEGORIES } from './articles.js';
+
+const feedSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true, unique: true, trim: true },
+  // used when the keyword rules cannot place an item from this feed
+  defaultCategory: { type: String, enum: CATEGORIES, default: 'Uncategorized' },
+  fetchIntervalMinutes: { type: Number, min: 15, default: 360 },
+  // relevance multiplier for this publisher (1 = neutral)
+  sourceWeight: { type: Number, min: 0, max: 2, default: 1 },
+  // also scrape and store the readable article text at ingest
+  extractContent: { type: Boolean, default: false },
+  enabled: { type: Boolean, default: true },
+  lastFetchedAt: { type: Date, default: null },
+  // health, updated after every fetch attempt
+  lastSuccessAt: { type: Date, default: null },
+  lastFailureAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  lastHttpStatus: { type: Number, default: null },
+  consecutiveFailures: { type: Number, default: 0 },
+  // validators from the last 2xx response, sent back as If-None-Match / If-Modified-Since
+  etag: { type: String, default: null },
+  lastModified: { type: String, default: null }
+}, { timestamps: true });
+
+feedSchema.index({ enabled: 1, lastFetchedAt: 1 });
+
+export default mongoose.model('Feed', feedSchema);
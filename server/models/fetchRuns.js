@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const feedResultSchema = new mongoose.Schema({
+  feed: { type: mongoose.Schema.Types.ObjectId, ref: 'Feed', default: null },
+  source: { type: String },
+  url: { type: String, required: true },
+  ok: { type: Boolean, default: false },
+  notModified: { type: Boolean, default: false },
+  httpStatus: { type: Number, default: null },
+  attempts: { type: Number, default: 0 },
+  itemCount: { type: Number, default: 0 },
+  inserted: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  itemErrors: { type: Number, default: 0 },
+  errorMessages: [{ type: String }],
+  durationMs: { type: Number, default: 0 }
+}, { _id: false });
+
+const fetchRunSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ['cron', 'manual', 'startup'], default: 'manual' },
+  status: { type: String, enum: ['running', 'success', 'partial', 'failed', 'cancelled'], default: 'running' },
+  // the Job that ran it (jobServices.js)
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: 0 },
+  totals: {
+    feeds: { type: Number, default: 0 },
+    failedFeeds: { type: Number, default: 0 },
+    notModified: { type: Number, default: 0 },
+    items: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    itemErrors: { type: Number, default: 0 }
+  },
+  feeds: [feedResultSchema]
+}, { timestamps: true });
+
+fetchRunSchema.index({ startedAt: -1 });
+fetchRunSchema.index({ 'feeds.url': 1, startedAt: -1 });
+
+export default mongoose.model('FetchRun', fetchRunSchema);
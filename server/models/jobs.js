@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/* A queued / running / finished background job (jobServices.js). Only 'fetch-feeds' exists so far. */
+const jobSchema = new mongoose.Schema({
+  type: { type: String, enum: ['fetch-feeds'], required: true },
+  status: { type: String, enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'], default: 'queued' },
+  trigger: { type: String, enum: ['cron', 'manual', 'startup'], default: 'manual' },
+  // fetch-feeds: { dueOnly } for the stored feeds, or { feeds } for an ad-hoc list
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  progress: {
+    feedsTotal: { type: Number, default: 0 },
+    feedsDone: { type: Number, default: 0 },
+    items: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  cancelRequested: { type: Boolean, default: false },
+  fetchRun: { type: mongoose.Schema.Types.ObjectId, ref: 'FetchRun', default: null },
+  error: { type: String, default: null },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // process that runs it, and its last sign of life
+  worker: { type: String, default: null },
+  heartbeatAt: { type: Date, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, { timestamps: true, minimize: false });
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ createdAt: -1 });
+
+export default mongoose.model('Job', jobSchema);
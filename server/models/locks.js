@@ -0,0 +1,10 @@
+import mongoose from 'mongoose';
+
+/* Named lease lock: held by `owner` until `expiresAt` unless renewed (jobServices.js) */
+const lockSchema = new mongoose.Schema({
+  _id: { type: String },
+  owner: { type: String, default: null },
+  expiresAt: { type: Date, default: null }
+}, { timestamps: true });
+
+export default mongoose.model('Lock', lockSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+/* Per-user read / saved state of an article (replaces the shared Article.isRead / isSaved flags) */
+const userArticleStateSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+  isRead: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  isSaved: { type: Boolean, default: false },
+  savedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+userArticleStateSchema.index({ user: 1, article: 1 }, { unique: true });
+userArticleStateSchema.index({ user: 1, isSaved: 1 });
+userArticleStateSchema.index({ user: 1, isRead: 1 });
+
+export default mongoose.model('UserArticleState', userArticleStateSchema);
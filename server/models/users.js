@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true, select: false },
+  // 'admin' may manage feeds and run ingest; kept in sync with ADMIN_EMAILS (authServices.js)
+  role: { type: String, enum: ['reader', 'admin'], default: 'reader' },
+  // last POST /api/digests/subscriptions/:id/send, which is throttled per user
+  lastManualDigestAt: { type: Date, default: null }
+}, { timestamps: true });
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('User', userSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const MAX_REGEX_CHARS = 100;
+// every term is matched against every new article during ingest
+export const MAX_TERMS = 20;
+
+/**
+ * A user's watchlist entry: terms to look for in newly inserted articles.
+ * - matchType: how each term matches, as in CategoryRule (word: plural allowed / exact / regex);
+ *   regex is for admins only (routes/watches.js) and limited to MAX_REGEX_CHARS per term
+ * - matchMode: any term or all terms must appear (title, description and extracted text)
+ * - webhookUrl: optional outgoing webhook for every alert (JSON POST, Slack-compatible `text`),
+ *   signed with HMAC-SHA256 of the body in X-Feed-Signature when webhookSecret is set
+ */
+const watchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  terms: {
+    type: [{ type: String, trim: true, minlength: 1, maxlength: 200 }],
+    validate: [
+      { validator: (terms) => terms.length > 0, message: 'At least one term is required' },
+      { validator: (terms) => terms.length <= MAX_TERMS, message: `At most ${MAX_TERMS} terms per watch` }
+    ]
+  },
+  matchType: { type: String, enum: ['word', 'exact', 'regex'], default: 'word' },
+  matchMode: { type: String, enum: ['any', 'all'], default: 'any' },
+  webhookUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    match: [/^https?:\/\/\S+$/i, 'webhookUrl must be an http(s) URL']
+  },
+  webhookSecret: { type: String, default: null, select: false },
+  enabled: { type: Boolean, default: true }
+}, { timestamps: true });
+
+watchSchema.path('terms').validate(function (terms) {
+  if (this.matchType !== 'regex') return true;
+  try {
+    terms.forEach((t) => new RegExp(t, 'i'));
+    return true;
+  } catch {
+    return false;
+  }
+}, 'Invalid regular expression');
+
+watchSchema.path('terms').validate(function (terms) {
+  return this.matchType !== 'regex' || terms.every((t) => t.length <= MAX_REGEX_CHARS);
+}, `Regular expressions are limited to ${MAX_REGEX_CHARS} characters`);
+
+watchSchema.index({ user: 1, name: 1 }, { unique: true });
+watchSchema.index({ enabled: 1 });
+
+export default mongoose.model('Watch', watchSchema);
@@ -0,0 +1,131 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Alert from '../models/alerts.js';
+import Article from '../models/articles.js';
+import Watch from '../models/watches.js';
+import { denied } from '../middleware/auth.js';
+import { deliverWebhook } from '../services/alertServices.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+// manual webhook retries: once per alert in this interval, at most this many per user per minute
+const REDELIVER_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_REDELIVERIES_PER_MINUTE = 5;
+
+function tooManyRequests(res, waitMs, message) {
+  const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return denied(res, 429, message, { retryAfter });
+}
+
+/* Newest first: ?unread=true, ?watch=<id>, ?limit (default 20), ?before=<ISO date> for the next page */
+router.get('/', async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.unread === 'true') query.isRead = false;
+    if (req.query.watch) {
+      if (!mongoose.isValidObjectId(req.query.watch)) return res.status(400).json({ error: 'Invalid watch id' });
+      query.watch = req.query.watch;
+    }
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) return res.status(400).json({ error: '"before" must be a date' });
+      query.createdAt = { $lt: before };
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_LIMIT);
+
+    const alerts = await Alert.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('article', 'title url source category publishedDate relevanceScore image')
+      .lean();
+    res.json(alerts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* For the header badge */
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({ count: await Alert.countDocuments({ user: req.user.id, isRead: false }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Alert.updateMany({ user: req.user.id, isRead: false }, { $set: { isRead: true, readAt: new Date() } });
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid alert id' });
+    const isRead = req.body?.isRead !== false;
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { isRead, readAt: isRead ? new Date() : null } },
+      { new: true }
+    ).lean();
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    res.json(alert);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* Retry a failed webhook delivery in the background: 202 with the alert (delivery pending),
+   poll GET /alerts for the outcome */
+router.post('/:id/redeliver', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid alert id' });
+    const alert = await Alert.findOne({ _id: req.params.id, user: req.user.id }).lean();
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    if (alert.delivery?.status !== 'failed') return res.status(409).json({ error: 'Only failed deliveries can be retried' });
+
+    const now = Date.now();
+    const lastRetry = alert.delivery.redeliveredAt?.getTime() || 0;
+    if (now - lastRetry < REDELIVER_INTERVAL_MS) {
+      return tooManyRequests(res, lastRetry + REDELIVER_INTERVAL_MS - now, 'This alert was retried recently, try again later');
+    }
+    const recent = await Alert.countDocuments({ user: req.user.id, 'delivery.redeliveredAt': { $gt: new Date(now - 60 * 1000) } });
+    if (recent >= MAX_REDELIVERIES_PER_MINUTE) return tooManyRequests(res, 60 * 1000, 'Too many webhook retries, try again later');
+
+    const watch = await Watch.findById(alert.watch).select('+webhookSecret').lean();
+    if (!watch?.webhookUrl) return res.status(400).json({ error: 'The watch has no webhook' });
+    const article = await Article.findById(alert.article).lean();
+    if (!article) return res.status(404).json({ error: 'Article not found' });
+
+    // only one retry can claim a failed delivery
+    const claimed = await Alert.findOneAndUpdate(
+      { _id: alert._id, 'delivery.status': 'failed' },
+      { $set: { 'delivery.status': 'pending', 'delivery.redeliveredAt': new Date(now) } },
+      { new: true }
+    ).lean();
+    if (!claimed) return res.status(409).json({ error: 'Only failed deliveries can be retried' });
+
+    deliverWebhook(claimed, watch, article).catch((err) => console.error(`Webhook for alert ${claimed._id} failed:`, err.message));
+    res.status(202).json(claimed);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid alert id' });
+    const alert = await Alert.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    res.json({ message: 'Alert deleted', id: alert._id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
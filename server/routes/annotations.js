@@ -0,0 +1,148 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Annotation from '../models/annotations.js';
+import { annotationView, normalizeTag, tagCounts, updateAnnotation } from '../services/annotationServices.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/* Runs `update` on the caller's annotation of :articleId and answers with the result */
+async function respondWithUpdate(req, res, update, options) {
+  const annotation = await updateAnnotation(req.user.id, req.params.articleId, update, options);
+  if (!annotation) return res.status(404).json({ error: 'Article not found' });
+  res.json(annotation);
+}
+
+router.param('articleId', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid article id' });
+  next();
+});
+
+router.param('highlightId', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid highlight id' });
+  next();
+});
+
+/* The caller's tags with usage counts, for tag filters */
+router.get('/tags', async (req, res) => {
+  try {
+    res.json(await tagCounts(req.user.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:articleId', async (req, res) => {
+  try {
+    const annotation = await Annotation.findOne({ user: req.user.id, article: req.params.articleId }).lean();
+    res.json(annotationView(annotation));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Note (markdown): PUT adds or replaces it, DELETE clears it */
+router.put('/:articleId/note', async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    if (typeof note !== 'string') return res.status(400).json({ error: '"note" must be a string' });
+    await respondWithUpdate(req, res, { $set: { note } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:articleId/note', async (req, res) => {
+  try {
+    await respondWithUpdate(req, res, { $set: { note: '' } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Tags: POST { tag } or { tags: [...] } adds, PUT { tags } replaces, DELETE /tags/:tag removes one */
+function readTags(body = {}) {
+  const raw = body.tags !== undefined ? body.tags : [body.tag];
+  if (!Array.isArray(raw) || !raw.every((t) => typeof t === 'string')) return null;
+  return [...new Set(raw.map(normalizeTag).filter(Boolean))];
+}
+
+router.post('/:articleId/tags', async (req, res) => {
+  try {
+    const tags = readTags(req.body);
+    if (!tags?.length) return res.status(400).json({ error: 'Send a "tag" string or a "tags" array of strings' });
+    await respondWithUpdate(req, res, { $addToSet: { tags: { $each: tags } } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/:articleId/tags', async (req, res) => {
+  try {
+    const tags = readTags({ tags: req.body?.tags });
+    if (!tags) return res.status(400).json({ error: '"tags" must be an array of strings' });
+    await respondWithUpdate(req, res, { $set: { tags } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:articleId/tags/:tag', async (req, res) => {
+  try {
+    await respondWithUpdate(req, res, { $pull: { tags: normalizeTag(req.params.tag) } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Highlights: short quotes from the article, each with an optional comment */
+router.post('/:articleId/highlights', async (req, res) => {
+  try {
+    const { quote, comment = '' } = req.body || {};
+    if (typeof quote !== 'string' || !quote.trim()) return res.status(400).json({ error: '"quote" is required' });
+    if (typeof comment !== 'string') return res.status(400).json({ error: '"comment" must be a string' });
+    await respondWithUpdate(req, res, { $push: { highlights: { quote, comment, createdAt: new Date() } } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/:articleId/highlights/:highlightId', async (req, res) => {
+  try {
+    const { quote, comment } = req.body || {};
+    const $set = {};
+    if (quote !== undefined) {
+      if (typeof quote !== 'string' || !quote.trim()) return res.status(400).json({ error: '"quote" cannot be empty' });
+      $set['highlights.$[h].quote'] = quote;
+    }
+    if (comment !== undefined) {
+      if (typeof comment !== 'string') return res.status(400).json({ error: '"comment" must be a string' });
+      $set['highlights.$[h].comment'] = comment;
+    }
+    if (Object.keys($set).length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+    const exists = await Annotation.exists({ user: req.user.id, article: req.params.articleId, 'highlights._id': req.params.highlightId });
+    if (!exists) return res.status(404).json({ error: 'Highlight not found' });
+    await respondWithUpdate(req, res, { $set }, { arrayFilters: [{ 'h._id': new mongoose.Types.ObjectId(req.params.highlightId) }] });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:articleId/highlights/:highlightId', async (req, res) => {
+  try {
+    const exists = await Annotation.exists({ user: req.user.id, article: req.params.articleId, 'highlights._id': req.params.highlightId });
+    if (!exists) return res.status(404).json({ error: 'Highlight not found' });
+    await respondWithUpdate(req, res, { $pull: { highlights: { _id: new mongoose.Types.ObjectId(req.params.highlightId) } } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
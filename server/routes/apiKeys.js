@@ -0,0 +1,75 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ApiKey from '../models/apiKeys.js';
+import User from '../models/users.js';
+import { denied } from '../middleware/auth.js';
+import { generateApiKey } from '../services/authServices.js';
+
+const router = express.Router();
+
+// live (not revoked, not expired) keys per user
+const MAX_KEYS_PER_USER = 10;
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(error.status || 500).json({ error: error.message });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json(keys);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* { name, role?, expiresAt?, rateLimitPerMinute? } -> the key document plus `key`, returned this once only.
+   Admin keys and custom rate limits are for admins only. */
+router.post('/', async (req, res) => {
+  try {
+    const { name, role = 'reader', expiresAt = null, rateLimitPerMinute = null } = req.body || {};
+    if (role === 'admin' || rateLimitPerMinute !== null) {
+      const owner = await User.findById(req.user.id).select('role').lean();
+      if (owner?.role !== 'admin') {
+        return denied(res, 403, role === 'admin' ? 'Only admins can create admin keys' : 'Only admins can set a key rate limit');
+      }
+    }
+
+    const live = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (live >= MAX_KEYS_PER_USER) {
+      return res.status(409).json({ error: `At most ${MAX_KEYS_PER_USER} active API keys, revoke one first` });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({ user: req.user.id, name, role, expiresAt, rateLimitPerMinute, prefix, keyHash });
+    const view = apiKey.toObject();
+    delete view.keyHash;
+    res.status(201).json({ ...view, key });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid key id' });
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    res.json(apiKey);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
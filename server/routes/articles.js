@@ -1,14 +1,41 @@
 import express from 'express';
-import Article from '../models/articles.js';
+import mongoose from 'mongoose';
+import Article, { CATEGORIES } from '../models/articles.js';
+import CategoryCorrection from '../models/categoryCorrections.js';
+import UserArticleState from '../models/userArticleStates.js';
+import { findArticlesPage, withUserState } from '../services/articleServices.js';
+import { scheduleRetrain } from '../services/classifierServices.js';
+import { loadSourceWeights, scoreArticle } from '../services/scoringServices.js';
+import { contentFields, scrapePage } from '../services/feedServices.js';
+import { withHighlights } from '../services/searchServices.js';
+import { summaryFields } from '../services/summaryServices.js';
+import { updateAnnotation } from '../services/annotationServices.js';
+import { publish } from '../services/eventServices.js';
+import { EXPORT_FORMATS, collectArticles, toCsv, toMarkdown, writePdf } from '../services/exportServices.js';
 
 const router = express.Router();
 
+// on-demand extraction: a page that failed or had no text is tried again after CONTENT_RETRY_MS,
+// ?refresh=true re-extracts at most once per REFRESH_INTERVAL_MS per article
+const CONTENT_RETRY_MS = 6 * 3600 * 1000;
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+function extractionDue(article, refresh) {
+  if (!article.contentExtractedAt) return true;
+  const age = Date.now() - new Date(article.contentExtractedAt).getTime();
+  // 'none' with a date: another request is extracting (or gave up half way)
+  if (refresh || article.contentStatus === 'none') return age >= REFRESH_INTERVAL_MS;
+  return article.contentStatus !== 'ok' && age >= CONTENT_RETRY_MS;
+}
+
 router.get('/stats/summary', async (req, res) => {
   try {
     const total = await Article.countDocuments();
     const byCategory = await Article.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]);
-    const saved = await Article.countDocuments({ isSaved: true });
-    const unread = await Article.countDocuments({ isRead: false });
+    // saved / unread are the caller's own
+    const saved = await UserArticleState.countDocuments({ user: req.user.id, isSaved: true });
+    const read = await UserArticleState.countDocuments({ user: req.user.id, isRead: true });
+    const unread = Math.max(0, total - read);
 
     res.json({ total, byCategory, saved, unread });
   } catch (error) {
@@ -16,57 +43,222 @@ router.get('/stats/summary', async (req, res) => {
   }
 });
 
-router.get('/', async (req, res) => {
+async function listArticles(req, res) {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-    const { category, saved } = req.query;
-
-    const query = {};
-    if (category && category !== 'all') query.category = category;
-    if (saved === 'true') query.isSaved = true;
-
-    const articles = await Article.find(query)
-      .sort({ publishedDate: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
-
-    res.json(articles);
+    const { items, nextCursor, total, q } = await findArticlesPage(req.query, req.user.id);
+
+    res.json({
+      items: q ? items.map((a) => withHighlights(a, q)) : items,
+      nextCursor,
+      total
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+}
+
+router.get('/', listArticles);
+
+router.get('/sources', async (req, res) => {
+  try {
+    const sources = await Article.distinct('source');
+    res.json(sources.sort((a, b) => a.localeCompare(b)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/search', (req, res) => {
+  if (typeof req.query.q !== 'string' || !req.query.q.trim()) return res.status(400).json({ error: 'Query parameter "q" is required' });
+  return listArticles(req, res);
+});
+
+/* The list for the same filters as GET / as a download: ?format=csv|md|pdf (PDF is a briefing grouped by category) */
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) return res.status(400).json({ error: `"format" must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+
+    const articles = await collectArticles(filters, req.user.id);
+    const saved = filters.saved === 'true';
+    const category = filters.category && filters.category !== 'all' ? filters.category : null;
+    const title = [saved ? 'Saved articles' : 'Articles', category].filter(Boolean).join(' — ');
+    const filename = `${saved ? 'saved-articles' : 'articles'}-${new Date().toISOString().slice(0, 10)}.${spec.extension}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(spec.type);
+    if (format === 'pdf') return writePdf(articles, res, { title });
+    res.send(format === 'md' ? toMarkdown(articles, { title }) : toCsv(articles));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 router.get('/:id', async (req, res) => {
   try {
-    const article = await Article.findById(req.params.id);
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid article id' });
+    const article = await Article.findById(req.params.id).lean();
     if (!article) return res.status(404).json({ error: 'Article not found' });
-    res.json(article);
+    res.json(await withUserState(article, req.user.id));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.patch('/:id/read', async (req, res) => {
+/* Reader view: the extracted body text, extracted on demand the first time (or with ?refresh=true);
+   failures are remembered, see CONTENT_RETRY_MS / REFRESH_INTERVAL_MS */
+router.get('/:id/content', async (req, res) => {
   try {
-    const article = await Article.findByIdAndUpdate(req.params.id, { isRead: true }, { new: true });
-    res.json(article);
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid article id' });
+    let article = await Article.findById(req.params.id).select('+contentText').lean();
+    if (!article) return res.status(404).json({ error: 'Article not found' });
+
+    if (extractionDue(article, req.query.refresh === 'true')) {
+      // claim the extraction, so concurrent views do not all scrape the publisher
+      const { modifiedCount } = await Article.updateOne(
+        { _id: article._id, contentExtractedAt: article.contentExtractedAt ?? null },
+        { $set: { contentExtractedAt: new Date() } }
+      );
+      if (modifiedCount) {
+        const scraped = await scrapePage(article.url, { extract: true });
+        if (!scraped) {
+          await Article.updateOne({ _id: article._id }, { $set: { contentStatus: 'failed', contentExtractedAt: new Date() } });
+          return res.status(502).json({ error: 'The publisher page could not be fetched' });
+        }
+        const fields = contentFields(scraped.content);
+        Object.assign(fields, summaryFields({ contentText: fields.contentText, description: article.description }));
+        await Article.updateOne({ _id: article._id }, { $set: fields });
+        article = { ...article, ...fields };
+      }
+    }
+
+    if (article.contentStatus === 'none') {
+      return res.status(503).json({ error: 'The text is being extracted, try again shortly' });
+    }
+
+    if (article.contentStatus === 'failed') {
+      return res.status(502).json({ error: 'The publisher page could not be fetched, try again later' });
+    }
+    if (article.contentStatus !== 'ok') {
+      return res.status(422).json({ error: 'No readable text found (the page may be paywalled)' });
+    }
+
+    res.json({
+      _id: article._id,
+      title: article.title,
+      source: article.source,
+      url: article.url,
+      image: article.image,
+      publishedDate: article.publishedDate,
+      paragraphs: article.contentText.split('\n\n'),
+      wordCount: article.wordCount,
+      readingTimeMinutes: article.readingTimeMinutes,
+      extractedAt: article.contentExtractedAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* $inc for Article.engagement when a user's read / saved flag flips, or null */
+function engagementDelta(before, changes) {
+  if (!changes) return null;
+  const inc = {};
+  if (changes.isRead === true && !before?.isRead) inc['engagement.reads'] = 1;
+  if (changes.isSaved !== undefined && changes.isSaved !== Boolean(before?.isSaved)) {
+    inc['engagement.saves'] = changes.isSaved ? 1 : -1;
+  }
+  return Object.keys(inc).length ? inc : null;
+}
+
+/* Upserts the caller's state for an article and returns the article with that state applied */
+async function updateUserState(req, res, buildUpdate) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid article id' });
+    const article = await Article.findById(req.params.id).lean();
+    if (!article) return res.status(404).json({ error: 'Article not found' });
+
+    const key = { user: req.user.id, article: article._id };
+    const current = await UserArticleState.findOne(key).lean();
+    const update = buildUpdate(current);
+    if (update) await UserArticleState.updateOne(key, update, { upsert: true, runValidators: true });
+
+    // cross-user engagement totals feed the relevance score
+    const engagement = engagementDelta(current, update?.$set);
+    if (engagement) {
+      await Article.updateOne({ _id: article._id }, { $inc: engagement, $set: { scoreStale: true } });
+      article.engagement = {
+        reads: (article.engagement?.reads || 0) + (engagement['engagement.reads'] || 0),
+        saves: (article.engagement?.saves || 0) + (engagement['engagement.saves'] || 0)
+      };
+    }
+
+    const decorated = await withUserState(article, req.user.id);
+    // the caller's other tabs / devices
+    publish('article.state', { articleId: article._id, isRead: decorated.isRead, isSaved: decorated.isSaved }, { user: req.user.id });
+    res.json(decorated);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
+}
+
+router.patch('/:id/read', (req, res) =>
+  updateUserState(req, res, (current) => (current?.isRead ? null : { $set: { isRead: true, readAt: new Date() } }))
+);
+
+router.patch('/:id/save', (req, res) =>
+  updateUserState(req, res, (current) => {
+    const isSaved = !current?.isSaved;
+    return { $set: { isSaved, savedAt: isSaved ? new Date() : null } };
+  })
+);
+
+/* Shorthand for PUT /api/annotations/:id/note that answers with the article */
+router.patch('/:id/notes', async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+    if (typeof notes !== 'string') return res.status(400).json({ error: '"notes" must be a string' });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid article id' });
+
+    const annotation = await updateAnnotation(req.user.id, req.params.id, { $set: { note: notes } });
+    if (!annotation) return res.status(404).json({ error: 'Article not found' });
+    res.json(await withUserState(await Article.findById(req.params.id).lean(), req.user.id));
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+  }
 });
 
-router.patch('/:id/save', async (req, res) => {
+/* User correction: pins the category and becomes a training sample for the classifier */
+router.patch('/:id/category', async (req, res) => {
   try {
+    const { category } = req.body || {};
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `"category" must be one of: ${CATEGORIES.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid article id' });
+
     const article = await Article.findById(req.params.id);
     if (!article) return res.status(404).json({ error: 'Article not found' });
 
-    article.isSaved = !article.isSaved;
+    await CategoryCorrection.create({
+      article: article._id,
+      user: req.user.id,
+      fromCategory: article.category,
+      toCategory: category,
+      title: article.title,
+      description: article.description || ''
+    });
+
+    article.category = category;
+    article.categorySource = 'manual';
+    const weights = await loadSourceWeights();
+    const scored = scoreArticle(article, { sourceWeight: weights.get(article.source) ?? 1 });
+    Object.assign(article, { relevanceScore: scored.score, scoreExplanation: scored.explanation, scoredAt: new Date() });
     await article.save();
+    scheduleRetrain();
 
-    res.json(article);
+    res.json(await withUserState(article.toObject(), req.user.id));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
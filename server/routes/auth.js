@@ -0,0 +1,59 @@
+import express from 'express';
+import User from '../models/users.js';
+import { denied, requireAuth } from '../middleware/auth.js';
+import { hashPassword, signToken, verifyPassword } from '../services/authServices.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+    if (typeof email !== 'string' || !EMAIL_RE.test(email.trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // always a reader, even for an ADMIN_EMAILS address: nothing proves the caller owns it (see syncAdminRoles)
+    const user = await User.create({ name, email, passwordHash: await hashPassword(password) });
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: 'An account with this email already exists' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return denied(res, 401, 'Invalid email or password');
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return denied(res, 401, 'Account no longer exists');
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
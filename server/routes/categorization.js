@@ -0,0 +1,135 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { CATEGORIES } from '../models/articles.js';
+import CategoryRule from '../models/categoryRules.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { classify, invalidateRules, loadRules, reclassifyArticles } from '../services/categorizationServices.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['category', 'pattern', 'matchType', 'weight', 'titleBoost', 'bodyBoost', 'enabled'];
+
+function pickEditable(body = {}) {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+}
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) return res.status(409).json({ error: 'This rule already exists' });
+  return res.status(500).json({ error: error.message });
+}
+
+router.get('/rules', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.category) query.category = req.query.category;
+    const rules = await CategoryRule.find(query).sort({ category: 1, weight: -1, pattern: 1 }).lean();
+    res.json(rules);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = await CategoryRule.create(pickEditable(req.body));
+    invalidateRules();
+    res.status(201).json(rule);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid rule id' });
+    const rule = await CategoryRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+    // save() rather than findByIdAndUpdate so the regex validator sees the final matchType
+    rule.set(pickEditable(req.body));
+    await rule.save();
+    invalidateRules();
+    res.json(rule);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid rule id' });
+    const rule = await CategoryRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    invalidateRules();
+    res.json({ message: 'Rule deleted', id: rule._id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Keyword view of the rules: { [category]: ['keyword', ...] } (regex rules are left out) */
+router.get('/keywords', async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ enabled: true, matchType: { $ne: 'regex' } }).sort({ pattern: 1 }).lean();
+    const keywords = {};
+    for (const rule of rules) (keywords[rule.category] ||= []).push(rule.pattern);
+    res.json(keywords);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Replace the keyword (non-regex) rules of every category present in the body */
+router.put('/keywords', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const entries = Object.entries(body);
+    for (const [category, keywords] of entries) {
+      if (!CATEGORIES.includes(category) || category === 'Uncategorized') {
+        return res.status(400).json({ error: `Unknown category "${category}"` });
+      }
+      if (!Array.isArray(keywords) || keywords.some((k) => typeof k !== 'string' || !k.trim())) {
+        return res.status(400).json({ error: `Keywords for "${category}" must be an array of non-empty strings` });
+      }
+    }
+
+    for (const [category, keywords] of entries) {
+      await CategoryRule.deleteMany({ category, matchType: { $ne: 'regex' } });
+      const unique = [...new Set(keywords.map((k) => k.trim().toLowerCase()))];
+      if (unique.length) await CategoryRule.insertMany(unique.map((pattern) => ({ category, pattern })));
+    }
+    invalidateRules();
+
+    res.json({ message: 'Keywords updated', categories: entries.map(([category]) => category) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Try the current rules on a title / description without saving anything */
+router.post('/preview', async (req, res) => {
+  try {
+    const { title = '', description = '' } = req.body || {};
+    res.json(classify(String(title), String(description), await loadRules()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/reclassify', requireAdmin, async (req, res) => {
+  try {
+    const result = await reclassifyArticles();
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
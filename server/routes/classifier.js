@@ -0,0 +1,58 @@
+import express from 'express';
+import CategoryCorrection from '../models/categoryCorrections.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { isUsable, loadClassifier, predict, trainFromCorrections } from '../services/classifierServices.js';
+
+const router = express.Router();
+
+router.get('/status', async (req, res) => {
+  try {
+    const model = await loadClassifier();
+    const corrections = await CategoryCorrection.countDocuments();
+
+    res.json({
+      trained: Boolean(model),
+      usable: isUsable(model),
+      trainedAt: model?.createdAt || null,
+      samples: model?.samples || 0,
+      vocabularySize: model?.vocabularySize || 0,
+      docCounts: model?.docCounts || {},
+      corrections
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* Accuracy of a model trained without the held-out corrections */
+router.get('/accuracy', async (req, res) => {
+  try {
+    const model = await loadClassifier();
+    if (!model) return res.status(404).json({ error: 'The classifier has not been trained yet' });
+    res.json({ trainedAt: model.createdAt, ...model.evaluation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/train', requireAdmin, async (req, res) => {
+  try {
+    const model = await trainFromCorrections();
+    res.json({ trainedAt: model.createdAt, samples: model.samples, evaluation: model.evaluation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/predict', async (req, res) => {
+  try {
+    const { title = '', description = '' } = req.body || {};
+    const model = await loadClassifier();
+    if (!model) return res.status(404).json({ error: 'The classifier has not been trained yet' });
+    res.json({ usable: isUsable(model), ...predict(model, String(title), String(description)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
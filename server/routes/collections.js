@@ -0,0 +1,177 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Article from '../models/articles.js';
+import Collection, { MAX_ARTICLES } from '../models/collections.js';
+import { withUserState } from '../services/articleServices.js';
+
+const router = express.Router();
+
+const MAX_COLLECTIONS_PER_USER = 100;
+
+const EDITABLE_FIELDS = ['name', 'description'];
+
+function pickEditable(body = {}) {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+}
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) return res.status(409).json({ error: 'You already have a collection with this name' });
+  return res.status(500).json({ error: error.message });
+}
+
+/* Collection without its article list, with a count (and whether it holds ?article=) */
+function overview(collection, articleId) {
+  const { articles, ...rest } = collection;
+  const result = { ...rest, articleCount: articles.length };
+  if (articleId) result.hasArticle = articles.some((entry) => String(entry.article) === String(articleId));
+  return result;
+}
+
+async function findOwn(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid collection id' });
+    return null;
+  }
+  const collection = await Collection.findOne({ _id: req.params.id, user: req.user.id });
+  if (!collection) res.status(404).json({ error: 'Collection not found' });
+  return collection;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const articleId = req.query.article;
+    if (articleId && !mongoose.isValidObjectId(articleId)) return res.status(400).json({ error: 'Invalid article id' });
+
+    const collections = await Collection.find({ user: req.user.id }).sort({ name: 1 }).lean();
+    res.json(collections.map((c) => overview(c, articleId)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    if ((await Collection.countDocuments({ user: req.user.id })) >= MAX_COLLECTIONS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_COLLECTIONS_PER_USER} collections per account` });
+    }
+    const collection = await Collection.create({ ...pickEditable(req.body), user: req.user.id });
+    res.status(201).json(overview(collection.toObject()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* The collection with its articles in order (articles deleted since are left out) */
+router.get('/:id', async (req, res) => {
+  try {
+    const collection = await findOwn(req, res);
+    if (!collection) return;
+
+    const ids = collection.articles.map((entry) => entry.article);
+    const docs = await Article.find({ _id: { $in: ids } }).lean();
+    const byId = new Map(docs.map((a) => [String(a._id), a]));
+    const ordered = collection.articles
+      .filter((entry) => byId.has(String(entry.article)))
+      .map((entry) => ({ ...byId.get(String(entry.article)), addedAt: entry.addedAt }));
+
+    res.json({ ...overview(collection.toObject()), articles: await withUserState(ordered, req.user.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const collection = await findOwn(req, res);
+    if (!collection) return;
+    collection.set(pickEditable(req.body));
+    await collection.save();
+    res.json(overview(collection.toObject()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const collection = await findOwn(req, res);
+    if (!collection) return;
+    await collection.deleteOne();
+    res.json({ message: 'Collection deleted', id: collection._id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Add { articleId, position? } (appended by default); adding an article twice leaves it where it is */
+router.post('/:id/articles', async (req, res) => {
+  try {
+    const { articleId, position } = req.body || {};
+    if (!mongoose.isValidObjectId(articleId)) return res.status(400).json({ error: 'Invalid article id' });
+    const collection = await findOwn(req, res);
+    if (!collection) return;
+
+    if (!collection.articles.some((entry) => String(entry.article) === String(articleId))) {
+      if (collection.articles.length >= MAX_ARTICLES) {
+        return res.status(400).json({ error: `At most ${MAX_ARTICLES} articles per collection` });
+      }
+      if (!(await Article.exists({ _id: articleId }))) return res.status(404).json({ error: 'Article not found' });
+      const at = Number.isInteger(position) ? Math.max(0, Math.min(position, collection.articles.length)) : collection.articles.length;
+      collection.articles.splice(at, 0, { article: articleId, addedAt: new Date() });
+      await collection.save();
+    }
+    res.json(overview(collection.toObject(), articleId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id/articles/:articleId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.articleId)) return res.status(400).json({ error: 'Invalid article id' });
+    const collection = await findOwn(req, res);
+    if (!collection) return;
+
+    const index = collection.articles.findIndex((entry) => String(entry.article) === req.params.articleId);
+    if (index === -1) return res.status(404).json({ error: 'Article is not in this collection' });
+    collection.articles.splice(index, 1);
+    await collection.save();
+    res.json(overview(collection.toObject(), req.params.articleId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Reorder: { articleIds } must list exactly the articles already in the collection */
+router.put('/:id/articles/order', async (req, res) => {
+  try {
+    const { articleIds } = req.body || {};
+    if (!Array.isArray(articleIds)) return res.status(400).json({ error: 'articleIds must be an array' });
+    const collection = await findOwn(req, res);
+    if (!collection) return;
+
+    const current = new Map(collection.articles.map((entry) => [String(entry.article), entry]));
+    const wanted = articleIds.map(String);
+    if (wanted.length !== current.size || new Set(wanted).size !== wanted.length || !wanted.every((id) => current.has(id))) {
+      return res.status(400).json({ error: 'articleIds must contain every article of the collection exactly once' });
+    }
+
+    collection.articles = wanted.map((id) => {
+      const { article, addedAt } = current.get(id);
+      return { article, addedAt };
+    });
+    await collection.save();
+    res.json({ ...overview(collection.toObject()), articleIds: wanted });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import DigestSubscription from '../models/digestSubscriptions.js';
+import User from '../models/users.js';
+import { denied } from '../middleware/auth.js';
+import { buildDigest, renderDigest, sendDigest } from '../services/digestServices.js';
+
+const router = express.Router();
+
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+// a user's manual sends (any subscription) are at most this often apart
+const MANUAL_SEND_INTERVAL_MS = 10 * 60 * 1000;
+
+const EDITABLE_FIELDS = ['name', 'frequency', 'categories', 'perCategory', 'minScore', 'recipients', 'enabled'];
+
+function pickEditable(body = {}) {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+}
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(error.status || 500).json({ error: error.message });
+}
+
+async function findOwn(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid subscription id' });
+    return null;
+  }
+  const subscription = await DigestSubscription.findOne({ _id: req.params.id, user: req.user.id });
+  if (!subscription) res.status(404).json({ error: 'Subscription not found' });
+  return subscription;
+}
+
+/* Readers may only mail themselves: a recipient list with any other address needs the admin role.
+   Answers 403 and returns false when `data.recipients` is not allowed. */
+async function checkRecipients(req, res, data) {
+  if (!Array.isArray(data.recipients) || data.recipients.length === 0) return true;
+  const owner = await User.findById(req.user.id).select('email role').lean();
+  if (!owner) {
+    denied(res, 401, 'Account no longer exists');
+    return false;
+  }
+  if (owner.role === 'admin') return true;
+  const external = data.recipients.some((r) => String(r).trim().toLowerCase() !== owner.email);
+  if (external) {
+    denied(res, 403, 'Only admins can send digests to other addresses');
+    return false;
+  }
+  return true;
+}
+
+/* Render a digest without sending it: ?subscription=<id>, or ad-hoc settings
+   (?frequency=daily|weekly&perCategory=3&categories=a,b); ?format=html|text for the raw email body */
+router.get('/preview', async (req, res) => {
+  try {
+    let subscription;
+    if (req.query.subscription) {
+      if (!mongoose.isValidObjectId(req.query.subscription)) return res.status(400).json({ error: 'Invalid subscription id' });
+      subscription = await DigestSubscription.findOne({ _id: req.query.subscription, user: req.user.id }).lean();
+      if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+    } else {
+      // validate ad-hoc settings through the schema, without saving
+      const draft = new DigestSubscription({
+        user: req.user.id,
+        name: 'Preview',
+        frequency: req.query.frequency,
+        perCategory: req.query.perCategory,
+        minScore: req.query.minScore,
+        categories: req.query.categories ? String(req.query.categories).split(',').map((c) => c.trim()).filter(Boolean) : []
+      });
+      await draft.validate();
+      subscription = draft.toObject();
+      delete subscription.lastSentAt;
+    }
+
+    const digest = await buildDigest(subscription);
+    const email = renderDigest(digest, subscription);
+
+    if (req.query.format === 'html') return res.type('html').send(email.html);
+    if (req.query.format === 'text') return res.type('text').send(email.text);
+    res.json({ ...email, period: digest.period, total: digest.total, sections: digest.sections });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await DigestSubscription.find({ user: req.user.id }).sort({ createdAt: 1 }).lean();
+    res.json(subscriptions);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!(await checkRecipients(req, res, data))) return;
+    if ((await DigestSubscription.countDocuments({ user: req.user.id })) >= MAX_SUBSCRIPTIONS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_SUBSCRIPTIONS_PER_USER} digest subscriptions per account` });
+    }
+    const subscription = await DigestSubscription.create({ ...data, user: req.user.id });
+    res.status(201).json(subscription);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+    const data = pickEditable(req.body);
+    if (!(await checkRecipients(req, res, data))) return;
+    subscription.set(data);
+    await subscription.save();
+    res.json(subscription);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+    await subscription.deleteOne();
+    res.json({ message: 'Subscription deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* Send now, even when there is nothing new (useful against a local SMTP catcher); at most once per
+   MANUAL_SEND_INTERVAL_MS per user, whichever subscription */
+router.post('/subscriptions/:id/send', async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+
+    // claimed atomically, so parallel requests cannot all slip through
+    const now = new Date();
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: req.user.id,
+        $or: [{ lastManualDigestAt: null }, { lastManualDigestAt: { $lte: new Date(now.getTime() - MANUAL_SEND_INTERVAL_MS) } }]
+      },
+      { $set: { lastManualDigestAt: now } }
+    ).lean();
+    if (!claimed) {
+      const user = await User.findById(req.user.id).select('lastManualDigestAt').lean();
+      const waitMs = user?.lastManualDigestAt ? user.lastManualDigestAt.getTime() + MANUAL_SEND_INTERVAL_MS - now.getTime() : 0;
+      const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return denied(res, 429, 'A digest was sent recently, try again later', { retryAfter });
+    }
+    res.json(await sendDigest(subscription.toObject(), { force: true }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+import express from 'express';
+import Article from '../models/articles.js';
+import Feed from '../models/feeds.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { importFeeds } from '../services/feedServices.js';
+import { parseOpml, renderOpml } from '../services/opmlServices.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'name', 'url', 'defaultCategory', 'fetchIntervalMinutes', 'sourceWeight', 'extractContent', 'enabled'
+];
+
+function pickEditable(body = {}) {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+}
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) return res.status(409).json({ error: 'A feed with this URL already exists' });
+  return res.status(error.status || 500).json({ error: error.message });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.enabled === 'true') query.enabled = true;
+    if (req.query.enabled === 'false') query.enabled = false;
+
+    const feeds = await Feed.find(query).sort({ name: 1 }).lean();
+    res.json(feeds);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const feed = await Feed.create(pickEditable(req.body));
+    res.status(201).json(feed);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* The current source list as OPML, one folder per default category */
+router.get('/export.opml', async (req, res) => {
+  try {
+    const feeds = await Feed.find().sort({ name: 1 }).lean();
+    res.set('Content-Disposition', 'attachment; filename="feeds.opml"');
+    res.type('text/x-opml').send(renderOpml(feeds));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* OPML upload: the raw file (Content-Type text/xml, application/xml or text/x-opml) or JSON { opml };
+   ?testFetch=false skips the test fetch of each new feed */
+router.post(
+  '/import',
+  requireAdmin,
+  express.text({ type: ['text/xml', 'application/xml', 'text/x-opml', 'application/octet-stream'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const xml = typeof req.body === 'string' ? req.body : req.body?.opml;
+      if (!xml) return res.status(400).json({ error: 'Send an OPML document as the request body' });
+
+      const entries = parseOpml(xml);
+      if (entries.length === 0) return res.status(400).json({ error: 'The OPML document has no feed outlines' });
+
+      const report = await importFeeds(entries, { testFetch: req.query.testFetch !== 'false' });
+      res.status(report.imported.length ? 201 : 200).json({ found: entries.length, ...report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+router.get('/:id', async (req, res) => {
+  try {
+    const feed = await Feed.findById(req.params.id);
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+    res.json(feed);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/:id', requireAdmin, async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    // cache validators belong to the old URL
+    if (data.url) Object.assign(data, { etag: null, lastModified: null });
+
+    const feed = await Feed.findByIdAndUpdate(req.params.id, { $set: data }, {
+      new: true,
+      runValidators: true
+    });
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+    // the next recomputeScores() picks up the new weight for this source's older articles too
+    if (data.sourceWeight !== undefined) await Article.updateMany({ source: feed.name }, { $set: { scoreStale: true } });
+    res.json(feed);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/:id/enable', requireAdmin, async (req, res) => {
+  try {
+    const feed = await Feed.findByIdAndUpdate(req.params.id, { enabled: true }, { new: true });
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+    res.json(feed);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/:id/disable', requireAdmin, async (req, res) => {
+  try {
+    const feed = await Feed.findByIdAndUpdate(req.params.id, { enabled: false }, { new: true });
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+    res.json(feed);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const feed = await Feed.findByIdAndDelete(req.params.id);
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+    res.json({ message: 'Feed deleted', id: feed._id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
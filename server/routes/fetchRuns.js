@@ -0,0 +1,138 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Feed from '../models/feeds.js';
+import FetchRun from '../models/fetchRuns.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* Per-day attempts/failures for each feed URL over the last `days` days. */
+async function failureTrends(days, urls) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const match = { 'feeds.url': { $in: urls } };
+
+  const rows = await FetchRun.aggregate([
+    { $match: { startedAt: { $gte: since }, ...match } },
+    { $unwind: '$feeds' },
+    { $match: match },
+    {
+      $group: {
+        _id: { url: '$feeds.url', day: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } } },
+        attempts: { $sum: 1 },
+        failures: { $sum: { $cond: ['$feeds.ok', 0, 1] } },
+        itemErrors: { $sum: '$feeds.itemErrors' }
+      }
+    },
+    { $sort: { '_id.day': 1 } }
+  ]);
+
+  const byUrl = {};
+  for (const row of rows) {
+    (byUrl[row._id.url] ||= []).push({
+      day: row._id.day,
+      attempts: row.attempts,
+      failures: row.failures,
+      itemErrors: row.itemErrors
+    });
+  }
+  return byUrl;
+}
+
+function healthOf(feed, trend = []) {
+  return {
+    _id: feed._id,
+    name: feed.name,
+    url: feed.url,
+    enabled: feed.enabled,
+    healthy: feed.consecutiveFailures === 0,
+    lastFetchedAt: feed.lastFetchedAt,
+    lastSuccessAt: feed.lastSuccessAt,
+    lastFailureAt: feed.lastFailureAt,
+    lastError: feed.lastError,
+    lastHttpStatus: feed.lastHttpStatus,
+    consecutiveFailures: feed.consecutiveFailures,
+    trend
+  };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status, trigger } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const runs = await FetchRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/health', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 14, 90);
+    const feeds = await Feed.find().sort({ name: 1 }).lean();
+    const trends = await failureTrends(days, feeds.map((f) => f.url));
+
+    res.json(feeds.map((f) => healthOf(f, trends[f.url])));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/health/:feedId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.feedId)) return res.status(400).json({ error: 'Invalid feed id' });
+    const feed = await Feed.findById(req.params.feedId).lean();
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+
+    const days = Math.min(parseInt(req.query.days, 10) || 14, 90);
+    const trends = await failureTrends(days, [feed.url]);
+
+    const recentErrors = await FetchRun.aggregate([
+      { $match: { 'feeds.url': feed.url } },
+      { $sort: { startedAt: -1 } },
+      { $limit: 50 },
+      { $unwind: '$feeds' },
+      { $match: { 'feeds.url': feed.url, 'feeds.errorMessages.0': { $exists: true } } },
+      { $limit: 10 },
+      {
+        $project: {
+          _id: 0,
+          run: '$_id',
+          startedAt: 1,
+          httpStatus: '$feeds.httpStatus',
+          errorMessages: '$feeds.errorMessages'
+        }
+      }
+    ]);
+
+    res.json({ ...healthOf(feed, trends[feed.url]), recentErrors });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid run id' });
+    const run = await FetchRun.findById(req.params.id).lean();
+    if (!run) return res.status(404).json({ error: 'Fetch run not found' });
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/jobs.js';
+import { cancelJob } from '../services/jobServices.js';
+
+const router = express.Router();
+
+// ad-hoc feed lists can be long; the list view only needs their size
+const LIST_FIELDS = '-payload.feeds';
+
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status, type, trigger } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (trigger) query.trigger = trigger;
+
+    const jobs = await Job.find(query)
+      .select(LIST_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid job id' });
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// queued -> cancelled right away; running -> cancelRequested, the worker stops before the next feed
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid job id' });
+    const job = await cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.status(job.status === 'cancelled' ? 200 : 202).json(job);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Article from '../models/articles.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { withUserState } from '../services/articleServices.js';
+import { rebuildStories } from '../services/dedupServices.js';
+
+const router = express.Router();
+
+/* Every article of a story, oldest first */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid story id' });
+    const articles = await Article.find({ $or: [{ story: req.params.id }, { _id: req.params.id }] })
+      .sort({ publishedDate: 1 })
+      .lean();
+    if (articles.length === 0) return res.status(404).json({ error: 'Story not found' });
+
+    res.json({ story: req.params.id, articles: await withUserState(articles, req.user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* Recompute signatures and clusters, e.g. after changing the similarity settings */
+router.post('/rebuild', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.body?.days, 10) || 30, 365);
+    res.json(await rebuildStories({ days }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { denied } from '../middleware/auth.js';
+import { eventsSince, subscribe } from '../services/eventServices.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/* Server-Sent Events: article.new, article.state (the caller's own read / save changes) and fetch.progress.
+   EventSource cannot send headers, so the token may come as ?token= */
+router.get('/', (req, res) => {
+  if (!req.user) return denied(res, 401, 'Authentication required');
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx-style proxies would otherwise buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (Number.isInteger(lastEventId)) {
+    for (const event of eventsSince(req.user.id, lastEventId)) writeEvent(res, event);
+  }
+
+  const unsubscribe = subscribe(req.user.id, (event) => writeEvent(res, event));
+  // comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { requireAdmin } from '../middleware/auth.js';
+import { resummarizeArticles, summarize } from '../services/summaryServices.js';
+
+const router = express.Router();
+
+const MAX_PREVIEW_CHARS = 20000;
+
+/* Re-summarize stored articles: { ids } for specific ones, { missingOnly: true } for never-summarized ones,
+   { days } to limit to recent articles; no body re-summarizes everything */
+router.post('/rebuild', requireAdmin, async (req, res) => {
+  try {
+    const { ids, missingOnly, days } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of article ids' });
+    }
+    res.json(await resummarizeArticles({
+      ids,
+      missingOnly: missingOnly === true,
+      days: days ? Math.min(parseInt(days, 10) || 0, 365) : undefined
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* Summarize arbitrary text without storing anything */
+router.post('/preview', (req, res) => {
+  const text = typeof req.body?.text === 'string' ? req.body.text : '';
+  if (!text.trim()) return res.status(400).json({ error: 'text is required' });
+  if (text.length > MAX_PREVIEW_CHARS) {
+    return res.status(413).json({ error: `text must be at most ${MAX_PREVIEW_CHARS} characters` });
+  }
+  res.json({ summary: summarize(text) });
+});
+
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import { denied } from '../middleware/auth.js';
+import { findArticlesPage } from '../services/articleServices.js';
+import {
+  FEED_FORMATS,
+  RENDERERS,
+  categoryFromSlug,
+  feedTitle,
+  lastModified
+} from '../services/syndicationServices.js';
+
+const router = express.Router();
+
+const DEFAULT_ITEMS = 30;
+// GET /api/articles filters on the caller's own state (saved / read / annotations)
+const USER_STATE_FILTERS = ['saved', 'unread', 'tag', 'hasNotes'];
+
+/* /feeds/:category.xml|.atom|.json (RSS 2.0 without an extension), /feeds/all.* and /feeds/saved.*
+   Query parameters are the GET /api/articles filters (minScore, source, saved, sort...);
+   saved feeds and the user-state filters (saved, unread, tag, hasNotes) need a token, sent as ?token=
+   since feed readers cannot set headers */
+router.get('/:name', async (req, res) => {
+  try {
+    const [, slug, format = 'xml'] = req.params.name.match(/^(.+?)(?:\.(xml|atom|json))?$/);
+    const savedFeed = slug === 'saved';
+    const category = savedFeed ? 'all' : categoryFromSlug(slug);
+    if (!category) return res.status(404).json({ error: 'Unknown feed' });
+
+    const saved = savedFeed || req.query.saved === 'true';
+    const personal = saved || USER_STATE_FILTERS.some((key) => req.query[key] && req.query[key] !== 'false');
+    if (personal && !req.user) return denied(res, 401, 'Authentication required');
+
+    const { token, cursor, ...filters } = req.query;
+    const { items } = await findArticlesPage(
+      { limit: String(DEFAULT_ITEMS), ...filters, category, saved: String(saved) },
+      req.user?.id
+    );
+
+    const updated = lastModified(items);
+    // anything rendered for a signed-in caller is personal and must not end up in shared caches
+    res.set('Cache-Control', `${req.user ? 'private' : 'public'}, max-age=300`);
+    if (updated) res.set('Last-Modified', updated.toUTCString());
+    if (req.fresh) return res.status(304).end();
+
+    // the token stays out of the advertised self link
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/${req.params.name}`;
+    const feed = {
+      title: feedTitle(category, saved),
+      description: `Curated articles${category === 'all' ? '' : ` in ${category}`}, ranked and deduplicated`,
+      selfUrl,
+      updated
+    };
+
+    res.type(FEED_FORMATS[format]).send(RENDERERS[format](feed, items));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/users.js';
+import Watch from '../models/watches.js';
+import { denied } from '../middleware/auth.js';
+import { invalidateWatches } from '../services/alertServices.js';
+import { urlRejection } from '../services/outboundServices.js';
+
+const router = express.Router();
+
+const MAX_WATCHES_PER_USER = 25;
+
+const EDITABLE_FIELDS = ['name', 'terms', 'matchType', 'matchMode', 'webhookUrl', 'webhookSecret', 'enabled'];
+
+function pickEditable(body = {}) {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+}
+
+function sendError(res, error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) return res.status(409).json({ error: 'You already have a watch with this name' });
+  return res.status(500).json({ error: error.message });
+}
+
+/* 400 and false when the webhook points somewhere the server may not post to (private hosts, ...) */
+function checkWebhookUrl(res, data) {
+  const rejection = data.webhookUrl ? urlRejection(data.webhookUrl) : null;
+  if (rejection) res.status(400).json({ error: `webhookUrl: ${rejection}` });
+  return !rejection;
+}
+
+/* Regex terms can be made to backtrack for ages on every article, so only admins get them.
+   403 and false when `matchType` would be regex for a reader. */
+async function checkMatchType(req, res, matchType) {
+  if (matchType !== 'regex') return true;
+  if (!req.user.role) {
+    const user = await User.findById(req.user.id).select('role').lean();
+    req.user.role = user?.role;
+  }
+  if (req.user.role === 'admin') return true;
+  denied(res, 403, 'Only admins can create regex watches');
+  return false;
+}
+
+/* The secret is write-only; responses only say whether one is set */
+function view(watch) {
+  const { webhookSecret, ...rest } = watch.toObject ? watch.toObject() : watch;
+  return { ...rest, hasWebhookSecret: Boolean(webhookSecret) };
+}
+
+async function findOwn(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid watch id' });
+    return null;
+  }
+  const watch = await Watch.findOne({ _id: req.params.id, user: req.user.id }).select('+webhookSecret');
+  if (!watch) res.status(404).json({ error: 'Watch not found' });
+  return watch;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const watches = await Watch.find({ user: req.user.id }).select('+webhookSecret').sort({ name: 1 }).lean();
+    res.json(watches.map(view));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    if (!checkWebhookUrl(res, data) || !(await checkMatchType(req, res, data.matchType))) return;
+    if ((await Watch.countDocuments({ user: req.user.id })) >= MAX_WATCHES_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_WATCHES_PER_USER} watches per account` });
+    }
+    const watch = await Watch.create({ ...data, user: req.user.id });
+    invalidateWatches();
+    res.status(201).json(view(watch));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const watch = await findOwn(req, res);
+    if (!watch) return;
+    res.json(view(watch));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const watch = await findOwn(req, res);
+    if (!watch) return;
+    const data = pickEditable(req.body);
+    if (!checkWebhookUrl(res, data) || !(await checkMatchType(req, res, data.matchType ?? watch.matchType))) return;
+    watch.set(data);
+    await watch.save();
+    invalidateWatches();
+    res.json(view(watch));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const watch = await findOwn(req, res);
+    if (!watch) return;
+    await watch.deleteOne();
+    invalidateWatches();
+    res.json({ message: 'Watch deleted', id: watch._id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
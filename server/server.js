@@ -3,56 +3,139 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import cron from 'node-cron';
 import dotenv from 'dotenv';
+import alertRoutes from './routes/alerts.js';
+import annotationRoutes from './routes/annotations.js';
+import apiKeyRoutes from './routes/apiKeys.js';
 import articleRoutes from './routes/articles.js';
-import { fetchAllFeeds, RSS_FEEDS } from './services/feedServices.js';
+import authRoutes from './routes/auth.js';
+import categorizationRoutes from './routes/categorization.js';
+import classifierRoutes from './routes/classifier.js';
+import collectionRoutes from './routes/collections.js';
+import digestRoutes from './routes/digests.js';
+import feedRoutes from './routes/feeds.js';
+import fetchRunRoutes from './routes/fetchRuns.js';
+import jobRoutes from './routes/jobs.js';
+import storyRoutes from './routes/stories.js';
+import streamRoutes from './routes/stream.js';
+import summaryRoutes from './routes/summaries.js';
+import syndicationRoutes from './routes/syndication.js';
+import watchRoutes from './routes/watches.js';
+import { parseAdHocFeeds, seedFeeds } from './services/feedServices.js';
+import { enqueueFetch, startWorker } from './services/jobServices.js';
+import { seedCategoryRules } from './services/categorizationServices.js';
+import { migrateLegacyNotes } from './services/annotationServices.js';
+import { syncAdminRoles } from './services/authServices.js';
+import { recomputeScores } from './services/scoringServices.js';
+import { sendDueDigests } from './services/digestServices.js';
+import { feedAuth, optionalAuth, requireAdmin, requireAuth } from './middleware/auth.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { loadConfig } from './config.js';
 
 dotenv.config();
 
+// refuse to start on a bad setting rather than failing later (or silently using a default)
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
 const app = express();
 app.use(express.json());
+// behind a proxy (e.g. TRUST_PROXY=1) so req.ip, and with it anonymous rate limiting, sees the client
+app.set('trust proxy', config.trustProxy);
 
-
-const allowedOrigins = ["https://gaetan-feed.vercel.app"];
+// CORS_ORIGINS, e.g. http://localhost:5173,https://gaetan-feed-*.vercel.app for dev and previews
 app.use(
   cors({
-    origin: allowedOrigins,
-    methods: ["GET", "POST", "PATCH", "DELETE"],
+    origin: config.corsOrigins,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true,
   })
 );
 
-
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cfo-feeds')
+mongoose.connect(config.mongoUri)
   .then(() => console.log('✅ MongoDB Connected'))
   .catch(err => console.error('Mongo Error:', err));
 
-app.use('/api/articles', articleRoutes);
+// CORS only binds browsers: every /api call is identified (JWT or API key) and rate limited per caller
+app.use('/api', optionalAuth, rateLimit);
 
-app.post('/api/fetch-feeds', async (req, res) => {
+app.use('/api/auth', authRoutes);
+app.use('/api/api-keys', requireAuth, apiKeyRoutes);
+app.use('/api/articles', requireAuth, articleRoutes);
+app.use('/api/stories', requireAuth, storyRoutes);
+app.use('/api/collections', requireAuth, collectionRoutes);
+app.use('/api/annotations', requireAuth, annotationRoutes);
+app.use('/api/watches', requireAuth, watchRoutes);
+app.use('/api/alerts', requireAuth, alertRoutes);
+app.use('/api/stream', feedAuth, streamRoutes);
+// feed management and ingest are admin-only (per route in feeds.js)
+app.use('/api/feeds', requireAuth, feedRoutes);
+app.use('/api/fetch-runs', requireAuth, fetchRunRoutes);
+app.use('/api/jobs', requireAdmin, jobRoutes);
+app.use('/api/categorization', requireAuth, categorizationRoutes);
+app.use('/api/classifier', requireAuth, classifierRoutes);
+app.use('/api/summaries', requireAuth, summaryRoutes);
+app.use('/api/digests', requireAuth, digestRoutes);
+// public curated feeds for feed readers (outside /api)
+app.use('/feeds', feedAuth, rateLimit, syndicationRoutes);
+
+app.post('/api/fetch-feeds', requireAdmin, async (req, res) => {
   try {
-    const feeds = req.body.feeds || RSS_FEEDS;
-    fetchAllFeeds(feeds); // fire-and-forget, non-blocking
-    res.json({ message: 'Feeds fetching started in background' });
+    // manual trigger: every enabled feed, regardless of its fetch interval; queued, progress at /api/jobs/:id
+    const feeds = parseAdHocFeeds(req.body);
+    const job = await enqueueFetch({ trigger: 'manual', feeds, requestedBy: req.user?.id });
+    res.status(202).json({ message: 'Feed fetch queued', jobId: job._id, status: job.status });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Schedule background feed fetch every 6 hours
-cron.schedule('0 */6 * * *', async () => {
+// Check for due feeds every 15 minutes by default (each feed has its own fetchIntervalMinutes)
+cron.schedule(config.fetchCron, async () => {
   try {
-    await fetchAllFeeds();
+    await enqueueFetch({ trigger: 'cron' });
   } catch (err) {
     console.error('Scheduled fetch failed:', err.message);
   }
 });
 
-// Fire initial fetch asynchronously in background (non-blocking)
+// Recompute relevance scores hourly by default (freshness decays, engagement changes)
+cron.schedule(config.scoreCron, async () => {
+  try {
+    await recomputeScores();
+  } catch (err) {
+    console.error('Score recompute failed:', err.message);
+  }
+});
+
+// Email digests: by default daily at 07:00, weekly on Monday at 07:00 (server time)
+cron.schedule(config.digestDailyCron, async () => {
+  try {
+    await sendDueDigests('daily');
+  } catch (err) {
+    console.error('Daily digest failed:', err.message);
+  }
+});
+
+cron.schedule(config.digestWeeklyCron, async () => {
+  try {
+    await sendDueDigests('weekly');
+  } catch (err) {
+    console.error('Weekly digest failed:', err.message);
+  }
+});
+
+// Seed, then queue the initial fetch; the job worker runs it in the background (non-blocking)
 (async () => {
-  console.log('📡 Initial feed fetch starting in background...');
-  fetchAllFeeds().then(() => console.log('✅ Initial feed fetch completed'))
-               .catch(err => console.error('Initial fetch failed:', err));
+  startWorker();
+  console.log('📡 Initial feed fetch queued...');
+  Promise.all([seedFeeds(), seedCategoryRules(), migrateLegacyNotes(), syncAdminRoles()])
+    .then(() => enqueueFetch({ trigger: 'startup' }))
+    .catch(err => console.error('Initial fetch failed:', err));
 })();
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+app.listen(config.port, () => console.log(`🚀 Server running on port ${config.port}`));
@@ -0,0 +1,146 @@
+// server/services/alertServices.js
+import crypto from 'crypto';
+import Alert from '../models/alerts.js';
+import User from '../models/users.js';
+import Watch from '../models/watches.js';
+import { compileRule } from './categorizationServices.js';
+import { guardedPost } from './outboundServices.js';
+
+/**
+ * Watchlist alerts
+ * - enabled watches are compiled once (cached like the category rules) and matched against
+ *   every newly inserted article (feedServices.processFeed), never against updates
+ * - regex watches only run while their owner is an admin (routes/watches.js)
+ * - a match creates an Alert for the watch owner and, when the watch has a webhookUrl,
+ *   POSTs it there in the background with a few retries, through the outbound guards
+ *   (outboundServices.js: no private or blocked hosts, no redirects)
+ */
+
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_RETRIES = 2;
+const WEBHOOK_MAX_RESPONSE_BYTES = 64 * 1024;
+
+let cachedWatches = null;
+
+/* Enabled watches with compiled term matchers (cached) */
+export async function loadWatches() {
+  if (!cachedWatches) {
+    const [watches, admins] = await Promise.all([
+      Watch.find({ enabled: true }).select('+webhookSecret').lean(),
+      User.find({ role: 'admin' }).select('_id').lean()
+    ]);
+    const adminIds = new Set(admins.map((u) => String(u._id)));
+    cachedWatches = watches
+      .filter((watch) => watch.matchType !== 'regex' || adminIds.has(String(watch.user)))
+      .map((watch) => ({
+        ...watch,
+        matchers: watch.terms
+          .map((term) => ({ term, regex: compileRule({ pattern: term, matchType: watch.matchType }) }))
+          .filter((m) => m.regex)
+      }));
+  }
+  return cachedWatches;
+}
+
+/* Call after any watch change */
+export function invalidateWatches() {
+  cachedWatches = null;
+}
+
+/* -> terms of `watch` found in `text`, or null when the watch does not match */
+export function matchWatch(watch, text) {
+  const found = watch.matchers
+    .filter(({ regex }) => {
+      regex.lastIndex = 0;
+      return regex.test(text);
+    })
+    .map((m) => m.term);
+  if (found.length === 0) return null;
+  if (watch.matchMode === 'all' && found.length < watch.matchers.length) return null;
+  return found;
+}
+
+/* Match a newly inserted article against every watch. Returns the alerts created. */
+export async function evaluateWatches(article) {
+  const watches = await loadWatches();
+  if (watches.length === 0) return [];
+
+  const text = [article.title, article.description, article.contentText].filter(Boolean).join('\n');
+  const alerts = [];
+  for (const watch of watches) {
+    const matchedTerms = matchWatch(watch, text);
+    if (!matchedTerms) continue;
+    try {
+      const alert = await Alert.create({
+        user: watch.user,
+        watch: watch._id,
+        article: article._id,
+        watchName: watch.name,
+        matchedTerms,
+        delivery: { status: watch.webhookUrl ? 'pending' : 'none' }
+      });
+      alerts.push(alert);
+      if (watch.webhookUrl) {
+        deliverWebhook(alert, watch, article).catch((err) => console.error(`Webhook for alert ${alert._id} failed:`, err.message));
+      }
+    } catch (err) {
+      // the same article twice (e.g. a concurrent fetch) only alerts once
+      if (err.code !== 11000) throw err;
+    }
+  }
+  if (alerts.length) console.log(`🔔 ${alerts.length} alerts for "${article.title}"`);
+  return alerts;
+}
+
+export function webhookPayload(alert, watch, article) {
+  return {
+    type: 'alert',
+    alert: { id: String(alert._id), matchedTerms: alert.matchedTerms, createdAt: alert.createdAt },
+    watch: { id: String(watch._id), name: watch.name },
+    article: {
+      id: String(article._id),
+      title: article.title,
+      url: article.url,
+      source: article.source,
+      category: article.category,
+      publishedDate: article.publishedDate,
+      relevanceScore: article.relevanceScore
+    },
+    // Slack / Teams style incoming webhooks show this field
+    text: `🔔 ${watch.name} (${alert.matchedTerms.join(', ')}): ${article.title} — ${article.source} ${article.url}`
+  };
+}
+
+/* POST the alert to the watch's webhook, recording the outcome on the alert */
+export async function deliverWebhook(alert, watch, article) {
+  const body = JSON.stringify(webhookPayload(alert, watch, article));
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'GaetanFeed-Webhook/1.0' };
+  if (watch.webhookSecret) {
+    headers['X-Feed-Signature'] = `sha256=${crypto.createHmac('sha256', watch.webhookSecret).update(body).digest('hex')}`;
+  }
+
+  let lastError = null;
+  let httpStatus = null;
+  let attempts = 0;
+  for (let attempt = 0; attempt <= WEBHOOK_RETRIES; attempt++) {
+    attempts = attempt + 1;
+    try {
+      const res = await guardedPost(watch.webhookUrl, body, { headers, timeout: WEBHOOK_TIMEOUT, maxBytes: WEBHOOK_MAX_RESPONSE_BYTES });
+      await Alert.updateOne({ _id: alert._id }, {
+        $set: { 'delivery.status': 'sent', 'delivery.attempts': attempts, 'delivery.httpStatus': res.status, 'delivery.lastError': null, 'delivery.deliveredAt': new Date() }
+      });
+      return true;
+    } catch (err) {
+      lastError = err.message;
+      httpStatus = err.response?.status || null;
+      // a refused host stays refused
+      if (err.code === 'EBLOCKEDHOST') break;
+      // small backoff
+      await new Promise((r) => setTimeout(r, 1000 * (attempt + 1)));
+    }
+  }
+  await Alert.updateOne({ _id: alert._id }, {
+    $set: { 'delivery.status': 'failed', 'delivery.attempts': attempts, 'delivery.httpStatus': httpStatus, 'delivery.lastError': lastError }
+  });
+  return false;
+}
@@ -0,0 +1,93 @@
+// server/services/annotationServices.js
+import mongoose from 'mongoose';
+import Annotation from '../models/annotations.js';
+import Article from '../models/articles.js';
+import UserArticleState from '../models/userArticleStates.js';
+
+/**
+ * Per-user annotations (markdown note, tags, highlighted quotes)
+ * - one Annotation per (user, article), created on the first edit and removed once empty
+ * - Article.annotations keeps the references in step
+ * - list filters: `tag` and `hasNotes` resolve to _id conditions like the saved / unread filters
+ */
+
+const EMPTY = { note: '', tags: [], highlights: [] };
+
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/* Annotation fields for a response (the empty shape when there is none) */
+export function annotationView(annotation) {
+  if (!annotation) return { ...EMPTY };
+  return { note: annotation.note || '', tags: annotation.tags || [], highlights: annotation.highlights || [] };
+}
+
+/* userId -> Map(articleId -> annotation) for the given articles */
+export async function annotationsByArticle(userId, articleIds) {
+  if (!userId || articleIds.length === 0) return new Map();
+  const annotations = await Annotation.find({ user: userId, article: { $in: articleIds } }).lean();
+  return new Map(annotations.map((an) => [String(an.article), an]));
+}
+
+/* _id conditions for the caller's tag / has-notes filters (anonymous callers have neither) */
+export async function annotationFilter(userId, { tags = [], hasNotes = false } = {}) {
+  const conditions = [];
+  if (tags.length) {
+    const ids = userId ? await Annotation.distinct('article', { user: userId, tags: { $in: tags.map(normalizeTag) } }) : [];
+    conditions.push({ _id: { $in: ids } });
+  }
+  if (hasNotes) {
+    const ids = userId ? await Annotation.distinct('article', { user: userId, note: { $nin: ['', null] } }) : [];
+    conditions.push({ _id: { $in: ids } });
+  }
+  return conditions;
+}
+
+/* Apply `update` to the caller's annotation on an article, creating or removing it as needed.
+   Returns the annotation view, or null when the article does not exist. */
+export async function updateAnnotation(userId, articleId, update, { arrayFilters } = {}) {
+  if (!(await Article.exists({ _id: articleId }))) return null;
+
+  const annotation = await Annotation.findOneAndUpdate({ user: userId, article: articleId }, update, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true,
+    arrayFilters
+  }).lean();
+
+  if (!annotation.note && annotation.tags.length === 0 && annotation.highlights.length === 0) {
+    await Annotation.deleteOne({ _id: annotation._id });
+    await Article.updateOne({ _id: articleId }, { $pull: { annotations: annotation._id } });
+    return annotationView(null);
+  }
+  await Article.updateOne({ _id: articleId }, { $addToSet: { annotations: annotation._id } });
+  return annotationView(annotation);
+}
+
+/* The caller's tags with how many articles carry each, most used first */
+export async function tagCounts(userId) {
+  return Annotation.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+}
+
+/* One-off: notes used to live on UserArticleState. Moves any left there into annotations. */
+export async function migrateLegacyNotes() {
+  // through the model (not .collection) so the queries wait for the connection at startup
+  const legacy = await UserArticleState.find({ notes: { $exists: true, $nin: ['', null] } })
+    .select('user article notes')
+    .lean();
+  for (const st of legacy) {
+    await updateAnnotation(st.user, st.article, { $set: { note: st.notes } });
+  }
+  // `notes` is no longer in the schema: strict would drop the $unset
+  await UserArticleState.updateMany({ notes: { $exists: true } }, { $unset: { notes: '' } }, { strict: false });
+  if (legacy.length) console.log(`📝 Moved ${legacy.length} notes into annotations`);
+  return legacy.length;
+}
@@ -0,0 +1,286 @@
+// server/services/articleServices.js
+import mongoose from 'mongoose';
+import Article, { CATEGORIES } from '../models/articles.js';
+import UserArticleState from '../models/userArticleStates.js';
+import { annotationFilter, annotationView, annotationsByArticle } from './annotationServices.js';
+
+/**
+ * Shared query building for article listings
+ * - validates the query-string filters accepted by GET /api/articles
+ * - returns a Mongo filter + sort, or throws an Error with `status = 400`
+ * - cursor pagination: the cursor is the sort key of the last item returned
+ *   ((publishedDate, _id) by default), so inserts during scrolling never shift pages
+ * - read / saved are per user (UserArticleState), `saved` and `unread` filter on the caller's state
+ * - `tag` and `hasNotes` filter on the caller's annotations (annotationServices.js)
+ * - lists show one article per story (dedupServices.js) with the other copies in `alsoCoveredBy`
+ */
+
+export const SORT_FIELDS = ['publishedDate', 'relevanceScore', 'createdAt'];
+const MAX_LIMIT = 100;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function single(params, key) {
+  const value = params[key];
+  if (Array.isArray(value)) throw badRequest(`"${key}" must be given once`);
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+function parseScore(params, key) {
+  const raw = single(params, key);
+  if (raw === undefined || raw === '') return undefined;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 1 || n > 5) throw badRequest(`"${key}" must be a number between 1 and 5`);
+  return n;
+}
+
+/* With endOfDay, a bare YYYY-MM-DD covers the whole day (inclusive `to`) */
+function parseDate(params, key, { endOfDay = false } = {}) {
+  const raw = single(params, key);
+  if (raw === undefined || raw === '') return undefined;
+  const d = new Date(raw);
+  if (isNaN(d.getTime())) throw badRequest(`"${key}" must be a valid date (e.g. 2025-01-31)`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(raw)) d.setUTCHours(23, 59, 59, 999);
+  return d;
+}
+
+function parseBoolean(params, key) {
+  const raw = single(params, key);
+  if (raw === undefined || raw === '') return undefined;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  throw badRequest(`"${key}" must be "true" or "false"`);
+}
+
+/* `source=A&source=B` or `source=A,B` */
+function parseList(params, key) {
+  const raw = params[key];
+  if (raw === undefined) return [];
+  const values = (Array.isArray(raw) ? raw : [raw]).flatMap((v) => String(v).split(','));
+  return values.map((v) => v.trim()).filter(Boolean);
+}
+
+export function parseLimit(params = {}) {
+  const rawLimit = single(params, 'limit');
+  const limit = rawLimit ? Number(rawLimit) : 10;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`"limit" must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+/* Cursors are opaque base64url JSON: { k: [sort key values], id } or { o: offset } for text-score order */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+  } catch {
+    throw badRequest('"cursor" is invalid');
+  }
+  if (!cursor || typeof cursor !== 'object' || Array.isArray(cursor)) throw badRequest('"cursor" is invalid');
+  return cursor;
+}
+
+/* A cursor value back into the type of its sort key; throws 400 for anything that does not fit */
+function cursorValue(key, value) {
+  if (key === 'relevanceScore') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw badRequest('"cursor" is invalid');
+    return value;
+  }
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) throw badRequest('"cursor" is invalid');
+  return date;
+}
+
+/* Keyset condition for a descending sort on `keys` then _id: "strictly after the cursor" */
+function afterCursor(keys, cursor) {
+  if (!Array.isArray(cursor.k) || cursor.k.length !== keys.length || !mongoose.isValidObjectId(cursor.id)) {
+    throw badRequest('"cursor" does not match the requested sort');
+  }
+  const values = keys.map((key, i) => cursorValue(key, cursor.k[i]));
+  const fields = [...keys, '_id'];
+  values.push(new mongoose.Types.ObjectId(String(cursor.id)));
+
+  const or = fields.map((field, i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) clause[fields[j]] = values[j];
+    clause[field] = { $lt: values[i] };
+    return clause;
+  });
+  return { $or: or };
+}
+
+/* Filter + sort for the article list filters (everything except pagination) */
+export function buildArticleQuery(params = {}) {
+  const filter = {};
+
+  const category = single(params, 'category');
+  if (category && category !== 'all') {
+    if (!CATEGORIES.includes(category)) throw badRequest(`"category" must be one of: ${CATEGORIES.join(', ')}`);
+    // primary category or any secondary tag
+    filter.$or = [{ category }, { 'tags.category': category }];
+  }
+
+  // one card per story unless stories=false
+  if (parseBoolean(params, 'stories') !== false) filter.storyLead = { $ne: false };
+
+  // resolved against the caller's UserArticleState by userStateFilter()
+  const saved = parseBoolean(params, 'saved') === true;
+  const unread = parseBoolean(params, 'unread') === true;
+  // resolved against the caller's annotations by annotationFilter()
+  const tags = parseList(params, 'tag');
+  const hasNotes = parseBoolean(params, 'hasNotes') === true;
+
+  const sources = parseList(params, 'source');
+  if (sources.length === 1) filter.source = sources[0];
+  else if (sources.length > 1) filter.source = { $in: sources };
+
+  const minScore = parseScore(params, 'minScore');
+  const maxScore = parseScore(params, 'maxScore');
+  if (minScore !== undefined && maxScore !== undefined && minScore > maxScore) {
+    throw badRequest('"minScore" cannot be greater than "maxScore"');
+  }
+  if (minScore !== undefined || maxScore !== undefined) {
+    filter.relevanceScore = {};
+    if (minScore !== undefined) filter.relevanceScore.$gte = minScore;
+    if (maxScore !== undefined) filter.relevanceScore.$lte = maxScore;
+  }
+
+  const from = parseDate(params, 'from');
+  const to = parseDate(params, 'to', { endOfDay: true });
+  if (from && to && from > to) throw badRequest('"from" cannot be after "to"');
+  if (from || to) {
+    filter.publishedDate = {};
+    if (from) filter.publishedDate.$gte = from;
+    if (to) filter.publishedDate.$lte = to;
+  }
+
+  const q = single(params, 'q') || '';
+  if (q) filter.$text = { $search: q };
+
+  const sortField = single(params, 'sort');
+  if (sortField && !SORT_FIELDS.includes(sortField)) {
+    throw badRequest(`"sort" must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  // search results rank by text score unless a sort was asked for explicitly
+  let sortKeys;
+  if (q && !sortField) sortKeys = null;
+  else if (sortField && sortField !== 'publishedDate') sortKeys = [sortField, 'publishedDate'];
+  else sortKeys = ['publishedDate'];
+
+  const sort = sortKeys
+    ? Object.fromEntries([...sortKeys, '_id'].map((k) => [k, -1]))
+    : { score: { $meta: 'textScore' }, publishedDate: -1, _id: -1 };
+
+  const projection = q ? { score: { $meta: 'textScore' } } : {};
+
+  return { filter, sort, sortKeys, projection, q, saved, unread, tags, hasNotes };
+}
+
+/* _id conditions for the caller's saved / unread articles (anonymous callers have neither) */
+export async function userStateFilter(userId, { saved = false, unread = false } = {}) {
+  const conditions = [];
+  if (saved) {
+    const ids = userId ? await UserArticleState.distinct('article', { user: userId, isSaved: true }) : [];
+    conditions.push({ _id: { $in: ids } });
+  }
+  if (unread && userId) {
+    const ids = await UserArticleState.distinct('article', { user: userId, isRead: true });
+    if (ids.length) conditions.push({ _id: { $nin: ids } });
+  }
+  return conditions;
+}
+
+/* Adds the caller's isRead / isSaved and annotation (notes = the annotation's note) to lean articles */
+export async function withUserState(articles, userId) {
+  const list = Array.isArray(articles) ? articles : [articles];
+  const ids = list.map((a) => a._id);
+  const [states, annotations] = await Promise.all([
+    userId ? UserArticleState.find({ user: userId, article: { $in: ids } }).lean() : [],
+    annotationsByArticle(userId, ids)
+  ]);
+  const byArticle = new Map(states.map((st) => [String(st.article), st]));
+
+  const decorated = list.map((a) => {
+    const st = byArticle.get(String(a._id));
+    const annotation = annotationView(annotations.get(String(a._id)));
+    return {
+      ...a,
+      isRead: st?.isRead || false,
+      isSaved: st?.isSaved || false,
+      notes: annotation.note,
+      annotation
+    };
+  });
+  return Array.isArray(articles) ? decorated : decorated[0];
+}
+
+/* Adds `alsoCoveredBy: [{ _id, source, title, url, publishedDate }]` from the rest of each story */
+export async function withStoryMembers(articles) {
+  const stories = articles.map((a) => a.story).filter(Boolean);
+  if (stories.length === 0) return articles.map((a) => ({ ...a, alsoCoveredBy: [] }));
+
+  const members = await Article.find(
+    { story: { $in: stories }, _id: { $nin: articles.map((a) => a._id) } },
+    { story: 1, source: 1, title: 1, url: 1, publishedDate: 1 }
+  )
+    .sort({ publishedDate: 1 })
+    .lean();
+
+  const byStory = new Map();
+  for (const m of members) {
+    const key = String(m.story);
+    if (!byStory.has(key)) byStory.set(key, []);
+    byStory.get(key).push({ _id: m._id, source: m.source, title: m.title, url: m.url, publishedDate: m.publishedDate });
+  }
+  return articles.map((a) => ({ ...a, alsoCoveredBy: (a.story && byStory.get(String(a.story))) || [] }));
+}
+
+/* One page of articles as { items, nextCursor, total }, with the caller's state on each item */
+export async function findArticlesPage(params = {}, userId = null) {
+  const limit = parseLimit(params);
+  const { filter: baseFilter, sort, sortKeys, projection, q, saved, unread, tags, hasNotes } = buildArticleQuery(params);
+  const rawCursor = single(params, 'cursor');
+  const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+
+  const stateConditions = [
+    ...(await userStateFilter(userId, { saved, unread })),
+    ...(await annotationFilter(userId, { tags, hasNotes }))
+  ];
+  const filter = stateConditions.length ? { $and: [baseFilter, ...stateConditions] } : baseFilter;
+
+  let pageFilter = filter;
+  let offset = 0;
+  if (cursor && sortKeys) pageFilter = { $and: [filter, afterCursor(sortKeys, cursor)] };
+  else if (cursor) {
+    // $meta sorts cannot be keyset-paginated, text-score order uses an offset
+    offset = Number(cursor.o);
+    if (!Number.isInteger(offset) || offset < 0) throw badRequest('"cursor" does not match the requested sort');
+  }
+
+  // one extra item tells us whether there is a next page
+  const [docs, total] = await Promise.all([
+    Article.find(pageFilter, projection).sort(sort).skip(offset).limit(limit + 1).lean(),
+    Article.countDocuments(filter)
+  ]);
+
+  const items = await withStoryMembers(await withUserState(docs.slice(0, limit), userId));
+  let nextCursor = null;
+  if (docs.length > limit) {
+    const last = items[items.length - 1];
+    nextCursor = sortKeys
+      ? encodeCursor({ k: sortKeys.map((key) => last[key]), id: String(last._id) })
+      : encodeCursor({ o: offset + limit });
+  }
+
+  return { items, nextCursor, total, q };
+}
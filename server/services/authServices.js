@@ -0,0 +1,83 @@
+// server/services/authServices.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User from '../models/users.js';
+import { getConfig } from '../config.js';
+
+/**
+ * Password hashing, JWT and API key helpers
+ * - tokens are HS256 signed with JWT_SECRET and carry the user id as `sub`
+ * - API keys (`fk_...`) are shown once at creation; only their SHA-256 is stored
+ * - roles: 'reader' (default) or 'admin'; the accounts listed in ADMIN_EMAILS are the admins
+ */
+
+const BCRYPT_ROUNDS = 10;
+export const ROLES = ['reader', 'admin'];
+export const API_KEY_PREFIX = 'fk_';
+
+let fallbackSecret = null;
+
+/* JWT_SECRET from config.js (required in production) */
+function secret() {
+  const { jwtSecret } = getConfig();
+  if (jwtSecret) return jwtSecret;
+  if (!fallbackSecret) {
+    // keeps local development working; every restart signs everyone out
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET is not set, using a random secret for this process');
+  }
+  return fallbackSecret;
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+export function verifyPassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
+export function signToken(user) {
+  return jwt.sign({ sub: String(user._id), name: user.name }, secret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+}
+
+/* Returns the token payload, or null when the token is missing, expired or forged */
+export function verifyToken(token) {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, secret());
+  } catch {
+    return null;
+  }
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/* -> { key, prefix, keyHash }; hand `key` to the caller once, store the rest */
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
+
+/* Comma separated ADMIN_EMAILS, lowercased */
+export function adminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/* Makes the role of every existing account match ADMIN_EMAILS (run at startup). Registering never grants
+   admin, so an address listed before its owner signed up is only promoted on the next start. */
+export async function syncAdminRoles() {
+  const emails = adminEmails();
+  if (emails.length === 0) console.warn('⚠️  ADMIN_EMAILS is not set, nobody can manage feeds or trigger ingest');
+  const promoted = await User.updateMany({ email: { $in: emails }, role: { $ne: 'admin' } }, { $set: { role: 'admin' } });
+  const demoted = await User.updateMany({ email: { $nin: emails }, role: 'admin' }, { $set: { role: 'reader' } });
+  return { promoted: promoted.modifiedCount, demoted: demoted.modifiedCount };
+}
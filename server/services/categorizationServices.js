@@ -0,0 +1,174 @@
+// server/services/categorizationServices.js
+import Article from '../models/articles.js';
+import CategoryRule from '../models/categoryRules.js';
+import Feed from '../models/feeds.js';
+import { chooseCategory, loadClassifier } from './classifierServices.js';
+import { loadSourceWeights, scoreArticle } from './scoringServices.js';
+
+/**
+ * Weighted, rule-based categorization
+ * - rules live in the CategoryRule collection (seeded from CATEGORY_KEYWORDS)
+ * - every rule hit adds weight * (titleBoost | bodyBoost) to its category
+ * - an article gets every category that reaches MIN_TAG_SCORE as a tag with a
+ *   confidence; the best tag becomes `category`
+ * - rules are cached in memory and reloaded after admin edits
+ * - the trained classifier (classifierServices.js) may override the rules
+ */
+
+/* ----------------------------
+   Seed keywords (used to populate an empty CategoryRule collection)
+   ----------------------------*/
+export const CATEGORY_KEYWORDS = {
+  'Capital Strategy': ['rate', 'inflation', 'capital', 'market', 'macro', 'liquidity', 'monetary', 'fiscal'],
+  'Private Markets & M&A': ['deal', 'acquisition', 'valuation', 'lbo', 'private equity', 'funding', 'term sheet', 'merger', 'buyout'],
+  'Operational Excellence': ['productivity', 'cost', 'efficiency', 'automation', 'forecast', 'transformation', 'fp&a', 'operations'],
+  'Leadership & Conscious CFO': ['leadership', 'culture', 'behavior', 'influence', 'team', 'decision', 'mindset', 'conscious'],
+  'Africa Finance': ['africa', 'african', 'sub-saharan', 'nigeria', 'kenya', 'south africa']
+};
+
+const MIN_TAG_SCORE = 1; // one body hit of a weight-1 rule
+const SATURATION_SCORE = 4; // score at which a lone category reaches full confidence
+const MAX_HITS_PER_FIELD = 3; // repeated mentions stop counting after this
+const RECLASSIFY_BATCH = 500;
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* Compile a rule to a global, case-insensitive RegExp (null if it cannot compile) */
+export function compileRule(rule) {
+  try {
+    if (rule.matchType === 'regex') return new RegExp(rule.pattern, 'gi');
+    const suffix = rule.matchType === 'word' ? '(?:s|es)?' : '';
+    // \b does not work around symbols such as "fp&a", so use explicit non-word lookarounds
+    return new RegExp(`(?<![\\w])${escapeRegex(rule.pattern)}${suffix}(?![\\w])`, 'gi');
+  } catch {
+    return null;
+  }
+}
+
+function keywordRules() {
+  return Object.entries(CATEGORY_KEYWORDS).flatMap(([category, keywords]) =>
+    keywords.map((pattern) => ({ category, pattern, matchType: 'word', weight: 1, titleBoost: 2, bodyBoost: 1 }))
+  );
+}
+
+function compileAll(rules) {
+  return rules
+    .map((rule) => ({ ...rule, regex: compileRule(rule) }))
+    .filter((rule) => rule.regex);
+}
+
+// built-in keywords until the database rules are loaded
+const DEFAULT_RULES = compileAll(keywordRules());
+
+let cachedRules = null;
+
+/* Insert CATEGORY_KEYWORDS as rules if the collection is empty. Returns number of rules inserted. */
+export async function seedCategoryRules() {
+  const count = await CategoryRule.estimatedDocumentCount();
+  if (count > 0) return 0;
+
+  const docs = keywordRules();
+  await CategoryRule.insertMany(docs, { ordered: false });
+  console.log(`🌱 Seeded ${docs.length} category rules`);
+  return docs.length;
+}
+
+/* Enabled rules, compiled and cached */
+export async function loadRules() {
+  if (!cachedRules) {
+    const rules = await CategoryRule.find({ enabled: true }).lean();
+    cachedRules = compileAll(rules);
+  }
+  return cachedRules;
+}
+
+/* Call after any rule change */
+export function invalidateRules() {
+  cachedRules = null;
+}
+
+function countHits(regex, text) {
+  if (!text) return 0;
+  regex.lastIndex = 0;
+  let hits = 0;
+  while (hits < MAX_HITS_PER_FIELD && regex.exec(text)) hits++;
+  return hits;
+}
+
+/* -> { category, tags: [{ category, score, confidence }] } (tags best first) */
+export function classify(title = '', description = '', rules = DEFAULT_RULES) {
+  const scores = {};
+  for (const rule of rules) {
+    const titleHits = countHits(rule.regex, title);
+    const bodyHits = countHits(rule.regex, description);
+    if (!titleHits && !bodyHits) continue;
+    const score = rule.weight * (titleHits * rule.titleBoost + bodyHits * rule.bodyBoost);
+    scores[rule.category] = (scores[rule.category] || 0) + score;
+  }
+
+  const matched = Object.entries(scores).filter(([, score]) => score >= MIN_TAG_SCORE);
+  const total = matched.reduce((sum, [, score]) => sum + score, 0);
+
+  const tags = matched
+    .map(([category, score]) => ({
+      category,
+      score: Math.round(score * 100) / 100,
+      // share of the evidence, damped while the evidence is thin
+      confidence: Math.round((score / total) * Math.min(1, score / SATURATION_SCORE) * 1000) / 1000
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return { category: tags[0]?.category || 'Uncategorized', tags };
+}
+
+/* Re-run classification (rules + trained model) over stored articles, leaving
+   user-corrected ones alone. Returns { scanned, changed }. */
+export async function reclassifyArticles() {
+  const rules = await loadRules();
+  const model = await loadClassifier();
+  const weights = await loadSourceWeights();
+  const feeds = await Feed.find({}, { name: 1, defaultCategory: 1 }).lean();
+  const defaults = new Map(feeds.map((f) => [f.name, f.defaultCategory]));
+
+  let scanned = 0;
+  let changed = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const res = await Article.bulkWrite(ops, { ordered: false });
+    changed += res.modifiedCount;
+    ops = [];
+  };
+
+  const projection = { title: 1, description: 1, source: 1, publishedDate: 1, engagement: 1 };
+  const cursor = Article.find({ categorySource: { $ne: 'manual' } }, projection)
+    .lean()
+    .cursor();
+  for await (const article of cursor) {
+    scanned++;
+    const ruled = classify(article.title, article.description, rules);
+    let { category, source, prediction } = chooseCategory(ruled, model, article.title, article.description);
+    if (category === 'Uncategorized' && defaults.get(article.source)) {
+      category = defaults.get(article.source);
+      source = 'feed';
+    }
+
+    const $set = {
+      category,
+      categorySource: source,
+      tags: ruled.tags,
+      prediction: prediction ? { category: prediction.category, confidence: prediction.confidence } : null
+    };
+    const scored = scoreArticle({ ...article, category, tags: ruled.tags }, { sourceWeight: weights.get(article.source) ?? 1 });
+    Object.assign($set, { relevanceScore: scored.score, scoreExplanation: scored.explanation, scoredAt: new Date() });
+    ops.push({ updateOne: { filter: { _id: article._id }, update: { $set } } });
+    if (ops.length >= RECLASSIFY_BATCH) await flush();
+  }
+  await flush();
+
+  console.log(`🏷️  Reclassified ${scanned} articles (${changed} changed)`);
+  return { scanned, changed };
+}
@@ -0,0 +1,196 @@
+// server/services/classifierServices.js
+import crypto from 'crypto';
+import CategoryCorrection from '../models/categoryCorrections.js';
+import ClassifierModel from '../models/classifierModels.js';
+
+/**
+ * Local, offline text classifier trained from user category corrections
+ * - multinomial naive Bayes with Laplace smoothing, pure JS
+ * - the latest correction per article is one training sample
+ * - ~20% of articles (by id hash) are held out to measure accuracy, the
+ *   stored model is then trained on every sample
+ * - used by the ingest pipeline next to the keyword rules (see chooseCategory)
+ */
+
+const MIN_SAMPLES = 20; // below this the model is not used for ingest
+const MIN_CONFIDENCE = 0.6; // predictions under this never override the rules
+const HELD_OUT_SHARE = 0.2;
+const RETRAIN_DELAY = 10 * 1000; // debounce retraining after corrections (ms)
+const MODELS_KEPT = 5;
+
+const STOPWORDS = new Set(
+  ('a about after all also an and any are as at be because been but by can could did do does for from had has have ' +
+    'he her his how i if in into is it its just may more most new no not of on one or our out over said says she so ' +
+    'some than that the their them then there these they this to up us was we were what when which who will with ' +
+    'would year years you your').split(' ')
+);
+
+export function tokenize(text = '') {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9&]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+/* Title words count twice */
+function featuresOf(title = '', description = '') {
+  const titleTokens = tokenize(title);
+  return [...titleTokens, ...titleTokens, ...tokenize(description)];
+}
+
+/* samples: [{ title, description, category }] -> plain model parameters */
+export function trainModel(samples) {
+  const docCounts = {};
+  const tokenTotals = {};
+  const tokenCounts = {};
+  const vocabulary = new Set();
+
+  for (const sample of samples) {
+    const c = sample.category;
+    docCounts[c] = (docCounts[c] || 0) + 1;
+    tokenCounts[c] ||= {};
+    for (const token of featuresOf(sample.title, sample.description)) {
+      tokenCounts[c][token] = (tokenCounts[c][token] || 0) + 1;
+      tokenTotals[c] = (tokenTotals[c] || 0) + 1;
+      vocabulary.add(token);
+    }
+  }
+
+  return { samples: samples.length, vocabularySize: vocabulary.size, docCounts, tokenTotals, tokenCounts };
+}
+
+/* -> { category, confidence, scores: { [category]: probability } } or null for an empty model */
+export function predict(model, title = '', description = '') {
+  const categories = Object.keys(model?.docCounts || {});
+  if (categories.length === 0) return null;
+
+  const tokens = featuresOf(title, description);
+  const V = model.vocabularySize + 1;
+  const logScores = {};
+  for (const c of categories) {
+    const counts = model.tokenCounts[c] || {};
+    const denom = (model.tokenTotals[c] || 0) + V;
+    let score = Math.log(model.docCounts[c] / model.samples);
+    for (const token of tokens) score += Math.log(((counts[token] || 0) + 1) / denom);
+    logScores[c] = score;
+  }
+
+  // softmax over log scores
+  const max = Math.max(...Object.values(logScores));
+  const exp = Object.fromEntries(categories.map((c) => [c, Math.exp(logScores[c] - max)]));
+  const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+  const scores = Object.fromEntries(categories.map((c) => [c, Math.round((exp[c] / sum) * 1000) / 1000]));
+
+  const category = categories.reduce((best, c) => (scores[c] > scores[best] ? c : best), categories[0]);
+  return { category, confidence: scores[category], scores };
+}
+
+function isHeldOut(articleId) {
+  const byte = crypto.createHash('md5').update(String(articleId)).digest()[0];
+  return byte < 256 * HELD_OUT_SHARE;
+}
+
+function evaluate(trainSamples, heldOutSamples) {
+  const model = trainModel(trainSamples);
+  const perCategory = {};
+  let correct = 0;
+
+  const stats = (c) => (perCategory[c] ||= { support: 0, predicted: 0, correct: 0 });
+  for (const sample of heldOutSamples) {
+    const predicted = predict(model, sample.title, sample.description)?.category || null;
+    stats(sample.category).support += 1;
+    if (predicted) stats(predicted).predicted += 1;
+    if (predicted === sample.category) {
+      correct += 1;
+      stats(sample.category).correct += 1;
+    }
+  }
+
+  for (const s of Object.values(perCategory)) {
+    s.precision = s.predicted ? Math.round((s.correct / s.predicted) * 1000) / 1000 : null;
+    s.recall = s.support ? Math.round((s.correct / s.support) * 1000) / 1000 : null;
+  }
+
+  return {
+    trainSize: trainSamples.length,
+    heldOut: heldOutSamples.length,
+    correct,
+    accuracy: heldOutSamples.length ? Math.round((correct / heldOutSamples.length) * 1000) / 1000 : null,
+    perCategory
+  };
+}
+
+let cachedModel;
+
+/* Latest stored model (lean), cached; null if never trained */
+export async function loadClassifier() {
+  if (cachedModel === undefined) {
+    cachedModel = await ClassifierModel.findOne().sort({ createdAt: -1 }).lean();
+  }
+  return cachedModel;
+}
+
+/* True when the model has seen enough corrections to be trusted during ingest */
+export function isUsable(model) {
+  return Boolean(model) && model.samples >= MIN_SAMPLES && Object.keys(model.docCounts).length > 1;
+}
+
+/* Retrain from all corrections, store and cache the model. Returns the stored document. */
+export async function trainFromCorrections() {
+  const samples = await CategoryCorrection.aggregate([
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$article',
+        category: { $first: '$toCategory' },
+        title: { $first: '$title' },
+        description: { $first: '$description' }
+      }
+    }
+  ]);
+
+  const heldOut = samples.filter((s) => isHeldOut(s._id));
+  const training = samples.filter((s) => !isHeldOut(s._id));
+  const evaluation = evaluate(training, heldOut);
+
+  const doc = await ClassifierModel.create({ ...trainModel(samples), evaluation });
+
+  // keep a few previous models for comparison
+  const stale = await ClassifierModel.find({}, { _id: 1 }).sort({ createdAt: -1 }).skip(MODELS_KEPT).lean();
+  if (stale.length) await ClassifierModel.deleteMany({ _id: { $in: stale.map((m) => m._id) } });
+
+  cachedModel = doc.toObject();
+  console.log(`🧠 Classifier trained on ${samples.length} corrections (held-out accuracy: ${evaluation.accuracy ?? 'n/a'})`);
+  return cachedModel;
+}
+
+let retrainTimer = null;
+
+/* Debounced retrain, called after each correction */
+export function scheduleRetrain() {
+  clearTimeout(retrainTimer);
+  retrainTimer = setTimeout(() => {
+    trainFromCorrections().catch((err) => console.error('Classifier training failed:', err.message));
+  }, RETRAIN_DELAY);
+  retrainTimer.unref?.();
+}
+
+/*
+ * Combine the keyword rules with the model:
+ * the model wins when it is usable, confident, and either the rules found nothing
+ * or the model is more confident than the best rule tag.
+ * -> { category, source: 'rules' | 'model', prediction }
+ */
+export function chooseCategory(rulesResult, model, title, description) {
+  const prediction = isUsable(model) ? predict(model, title, description) : null;
+  const ruleConfidence = rulesResult.tags[0]?.confidence || 0;
+
+  if (
+    prediction &&
+    prediction.confidence >= MIN_CONFIDENCE &&
+    (rulesResult.category === 'Uncategorized' || prediction.confidence > ruleConfidence)
+  ) {
+    return { category: prediction.category, source: 'model', prediction };
+  }
+  return { category: rulesResult.category, source: 'rules', prediction };
+}
@@ -0,0 +1,163 @@
+// server/services/dedupServices.js
+import Article from '../models/articles.js';
+
+/**
+ * Duplicate handling
+ * - canonicalizeUrl(): strips tracking parameters and fragments so the same
+ *   link from two feeds upserts into one article
+ * - MinHash signatures over word shingles of title + description, bucketed
+ *   with LSH bands, find near-duplicate stories (syndicated copies)
+ * - every article belongs to a story: `story` is the _id of the first article
+ *   seen for it, and only that lead has `storyLead: true`
+ */
+
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|dclid|mc_cid|mc_eid|igshid|cmpid|ocid|ns_.+|at_.+|__twitter_impression)$/i;
+// `?format=rss` style parameters some publishers append to item links
+const FEED_PARAMS = { format: /^(rss|xml|atom)$/i, output: /^(rss|xml)$/i };
+
+const NUM_HASHES = 64;
+const ROWS_PER_BAND = 4; // 16 bands; candidates above ~0.5 similarity collide in at least one band
+const SHINGLE_SIZE = 2;
+const MAX_TOKENS = 80; // title + start of the description is enough to recognise a story
+const SIMILARITY_THRESHOLD = 0.5;
+const STORY_WINDOW_DAYS = 7;
+
+/* Absolute URL without tracking / feed parameters, fragment or default port; unchanged if unparsable */
+export function canonicalizeUrl(raw) {
+  if (!raw) return raw;
+  let url;
+  try {
+    url = new URL(raw.trim());
+  } catch {
+    return raw;
+  }
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+  if ((url.protocol === 'http:' && url.port === '80') || (url.protocol === 'https:' && url.port === '443')) url.port = '';
+
+  for (const key of [...url.searchParams.keys()]) {
+    const feedValue = FEED_PARAMS[key.toLowerCase()];
+    if (TRACKING_PARAMS.test(key) || (feedValue && feedValue.test(url.searchParams.get(key)))) {
+      url.searchParams.delete(key);
+    }
+  }
+  url.searchParams.sort();
+
+  let out = url.toString();
+  if (!url.search && url.pathname.length > 1 && out.endsWith('/')) out = out.slice(0, -1);
+  return out;
+}
+
+function normalizeText(text = '') {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1);
+}
+
+/* 32-bit FNV-1a */
+function fnv1a(str, seed = 0x811c9dc5) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// one seed per hash function, fixed so signatures stay comparable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fnv1a(`minhash-${i}`));
+
+function shingles(title, description) {
+  const tokens = normalizeText(`${title} ${description}`).slice(0, MAX_TOKENS);
+  if (tokens.length < SHINGLE_SIZE) return new Set(tokens);
+  const out = new Set();
+  for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) out.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  return out;
+}
+
+/* -> { signature: [NUM_HASHES numbers], bands: ['b0:…', …] } or null for empty text */
+export function storySignature(title = '', description = '') {
+  const set = shingles(title, description);
+  if (set.size === 0) return null;
+
+  const signature = SEEDS.map((seed) => {
+    let min = 0xffffffff;
+    for (const s of set) {
+      const h = fnv1a(s, seed);
+      if (h < min) min = h;
+    }
+    return min;
+  });
+
+  const bands = [];
+  for (let b = 0; b < NUM_HASHES / ROWS_PER_BAND; b++) {
+    const rows = signature.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND);
+    bands.push(`b${b}:${fnv1a(rows.join(','))}`);
+  }
+  return { signature, bands };
+}
+
+/* Estimated Jaccard similarity of two signatures */
+export function similarity(a = [], b = []) {
+  if (a.length === 0 || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+/*
+ * Attach a newly inserted article to an existing story, or start a new one.
+ * article: { _id, url, publishedDate, dedup: { signature, bands } }
+ * -> the story id
+ */
+export async function assignStory(article) {
+  let story = article._id;
+  const sig = article.dedup;
+
+  if (sig?.bands?.length) {
+    const since = new Date(new Date(article.publishedDate || Date.now()).getTime() - STORY_WINDOW_DAYS * 864e5);
+    const candidates = await Article.find(
+      { _id: { $ne: article._id }, 'dedup.bands': { $in: sig.bands }, publishedDate: { $gte: since } },
+      { story: 1, 'dedup.signature': 1, publishedDate: 1 }
+    )
+      .sort({ publishedDate: 1 })
+      .limit(50)
+      .lean();
+
+    let best = null;
+    for (const c of candidates) {
+      const score = similarity(sig.signature, c.dedup?.signature);
+      if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) best = { score, story: c.story || c._id };
+    }
+    if (best) story = best.story;
+  }
+
+  await Article.updateOne({ _id: article._id }, { $set: { story, storyLead: String(story) === String(article._id) } });
+  return story;
+}
+
+/* Recompute signatures and stories for articles published in the last `days` days. Returns { scanned, stories }. */
+export async function rebuildStories({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 864e5);
+  // reset first so clusters are rebuilt oldest-first
+  await Article.updateMany({ publishedDate: { $gte: since } }, { $unset: { story: 1, storyLead: 1 } });
+
+  let scanned = 0;
+  const cursor = Article.find({ publishedDate: { $gte: since } }, { title: 1, description: 1, publishedDate: 1 })
+    .sort({ publishedDate: 1 })
+    .lean()
+    .cursor();
+  for await (const article of cursor) {
+    scanned++;
+    const dedup = storySignature(article.title, article.description);
+    await Article.updateOne({ _id: article._id }, { $set: { dedup } });
+    await assignStory({ ...article, dedup });
+  }
+
+  const stories = await Article.countDocuments({ publishedDate: { $gte: since }, storyLead: true });
+  console.log(`🧩 Rebuilt stories for ${scanned} articles (${stories} stories)`);
+  return { scanned, stories };
+}
@@ -0,0 +1,185 @@
+// server/services/digestServices.js
+import nodemailer from 'nodemailer';
+import Article from '../models/articles.js';
+import DigestSubscription from '../models/digestSubscriptions.js';
+import User from '../models/users.js';
+import { userStateFilter } from './articleServices.js';
+
+/**
+ * Email digests
+ * - picks the top `perCategory` articles per category published in the period, by relevanceScore
+ * - owner subscriptions only include articles the owner has not read; list subscriptions include everything
+ * - sent over SMTP (SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS, from DIGEST_FROM);
+ *   for local testing point SMTP_HOST/SMTP_PORT at a catcher such as Mailpit (localhost:1025)
+ */
+
+const PERIOD_MS = { daily: 24 * 3600 * 1000, weekly: 7 * 24 * 3600 * 1000 };
+const DEFAULT_FROM = 'Gaetan Feed <digest@localhost>';
+const EXCERPT_CHARS = 280;
+
+let transporter = null;
+
+/* Read lazily: this module is imported before server.js runs dotenv.config() */
+function getTransporter() {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) {
+    const err = new Error('SMTP is not configured (set SMTP_HOST)');
+    err.status = 503;
+    throw err;
+  }
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return transporter;
+}
+
+/* Digest window: the last day / week, but never before the previous send */
+export function digestPeriod(subscription, now = new Date()) {
+  let from = new Date(now.getTime() - PERIOD_MS[subscription.frequency || 'daily']);
+  if (subscription.lastSentAt && subscription.lastSentAt > from) from = new Date(subscription.lastSentAt);
+  return { from, to: now };
+}
+
+/* -> { period, sections: [{ category, articles }], total } */
+export async function buildDigest(subscription, { now = new Date() } = {}) {
+  const period = digestPeriod(subscription, now);
+  const conditions = [
+    { publishedDate: { $gte: period.from, $lte: period.to } },
+    { storyLead: { $ne: false } },
+    { relevanceScore: { $gte: subscription.minScore || 1 } }
+  ];
+  if (subscription.categories?.length) conditions.push({ category: { $in: subscription.categories } });
+  if (!subscription.recipients?.length) {
+    conditions.push(...(await userStateFilter(subscription.user, { unread: true })));
+  }
+
+  const groups = await Article.aggregate([
+    { $match: { $and: conditions } },
+    { $sort: { relevanceScore: -1, publishedDate: -1 } },
+    {
+      $group: {
+        _id: '$category',
+        articles: {
+          $push: {
+            _id: '$_id', title: '$title', url: '$url', source: '$source', publishedDate: '$publishedDate',
+            relevanceScore: '$relevanceScore', summary: '$summary', description: '$description'
+          }
+        },
+        best: { $max: '$relevanceScore' }
+      }
+    },
+    { $sort: { best: -1, _id: 1 } },
+    { $project: { _id: 0, category: '$_id', articles: { $slice: ['$articles', subscription.perCategory || 3] } } }
+  ]);
+
+  return { period, sections: groups, total: groups.reduce((n, s) => n + s.articles.length, 0) };
+}
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function excerpt(article) {
+  if (article.summary?.length) return article.summary;
+  const text = (article.description || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return [];
+  return [text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '')}…` : text];
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/* -> { subject, html, text } */
+export function renderDigest(digest, subscription) {
+  const label = subscription.frequency === 'weekly' ? 'Weekly' : 'Daily';
+  const subject = `${label} digest: ${digest.total} top ${digest.total === 1 ? 'story' : 'stories'} (${formatDay(digest.period.to)})`;
+  const heading = `${escapeHtml(subscription.name || 'Digest')} — ${formatDay(digest.period.from)} to ${formatDay(digest.period.to)}`;
+
+  const htmlSections = digest.sections.map((section) => `
+    <h2 style="font-size:16px;margin:24px 0 8px;border-bottom:1px solid #ddd;padding-bottom:4px">${escapeHtml(section.category)}</h2>
+    ${section.articles.map((a) => `
+    <div style="margin:0 0 16px">
+      <a href="${escapeHtml(a.url)}" style="font-size:15px;font-weight:600;color:#111;text-decoration:none">${escapeHtml(a.title)}</a>
+      <div style="font-size:12px;color:#777">${escapeHtml(a.source)} · ${formatDay(a.publishedDate)} · ★ ${a.relevanceScore.toFixed(1)}</div>
+      <ul style="margin:6px 0 0;padding-left:18px;font-size:14px;color:#333">
+        ${excerpt(a).map((line) => `<li>${escapeHtml(line)}</li>`).join('')}
+      </ul>
+    </div>`).join('')}`).join('');
+
+  const html = `<!doctype html>
+<html><body style="font-family:Helvetica,Arial,sans-serif;max-width:640px;margin:0 auto;padding:16px;color:#111">
+  <h1 style="font-size:20px;margin:0 0 4px">${heading}</h1>
+  ${digest.total ? htmlSections : '<p>No new articles in this period.</p>'}
+</body></html>`;
+
+  const text = [
+    `${subscription.name || 'Digest'} — ${formatDay(digest.period.from)} to ${formatDay(digest.period.to)}`,
+    ...digest.sections.flatMap((section) => [
+      '',
+      section.category.toUpperCase(),
+      ...section.articles.flatMap((a) => [
+        '',
+        `* ${a.title}`,
+        `  ${a.source} · ${formatDay(a.publishedDate)} · ${a.relevanceScore.toFixed(1)}`,
+        ...excerpt(a).map((line) => `  - ${line}`),
+        `  ${a.url}`
+      ])
+    ]),
+    ...(digest.total ? [] : ['', 'No new articles in this period.'])
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/* The mailing list only while the owner is an admin (routes/digests.js), otherwise the owner alone */
+async function recipientsOf(subscription) {
+  const user = await User.findById(subscription.user, { email: 1, role: 1 }).lean();
+  if (!user) return [];
+  if (subscription.recipients?.length && user.role === 'admin') return subscription.recipients;
+  return [user.email];
+}
+
+/* Build, render and send one subscription's digest. Returns { sent, total, recipients }. */
+export async function sendDigest(subscription, { force = false, now = new Date() } = {}) {
+  const digest = await buildDigest(subscription, { now });
+  // nothing new: skip without moving lastSentAt
+  if (digest.total === 0 && !force) return { sent: false, total: 0, recipients: [] };
+
+  const recipients = await recipientsOf(subscription);
+  if (recipients.length === 0) return { sent: false, total: digest.total, recipients };
+
+  const { subject, html, text } = renderDigest(digest, subscription);
+  try {
+    await getTransporter().sendMail({ from: process.env.DIGEST_FROM || DEFAULT_FROM, to: recipients, subject, html, text });
+  } catch (err) {
+    await DigestSubscription.updateOne({ _id: subscription._id }, { $set: { lastError: err.message } });
+    throw err;
+  }
+  await DigestSubscription.updateOne({ _id: subscription._id }, { $set: { lastSentAt: now, lastError: null } });
+  return { sent: true, total: digest.total, recipients };
+}
+
+/* Cron entry point: send every enabled subscription of a frequency. Returns { sent, skipped, failed }. */
+export async function sendDueDigests(frequency) {
+  const subscriptions = await DigestSubscription.find({ enabled: true, frequency }).lean();
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+  for (const subscription of subscriptions) {
+    try {
+      const result = await sendDigest(subscription);
+      summary[result.sent ? 'sent' : 'skipped']++;
+    } catch (err) {
+      summary.failed++;
+      console.error(`Digest ${subscription._id} failed:`, err.message);
+    }
+  }
+  console.log(`📬 ${frequency} digests: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed`);
+  return summary;
+}
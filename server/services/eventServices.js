@@ -0,0 +1,43 @@
+// server/services/eventServices.js
+import { EventEmitter } from 'events';
+
+/**
+ * In-process event bus for the /api/stream Server-Sent Events endpoint
+ * - publish(type, data, { user }) broadcasts; with `user`, only that user's streams receive it
+ * - the last REPLAY_SIZE events are kept so reconnecting clients (Last-Event-ID) catch up
+ * - single process only: with several server instances each stream sees its own instance's events
+ */
+
+const REPLAY_SIZE = 200;
+
+const bus = new EventEmitter();
+// one listener per open stream
+bus.setMaxListeners(0);
+
+let lastId = 0;
+const recent = [];
+
+export function publish(type, data, { user = null } = {}) {
+  const event = { id: ++lastId, type, data, user: user ? String(user) : null, at: new Date() };
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) recent.shift();
+  bus.emit('event', event);
+  return event;
+}
+
+/* listener(event) for every event `userId` may see. Returns an unsubscribe function. */
+export function subscribe(userId, listener) {
+  const owner = String(userId);
+  const filtered = (event) => {
+    if (!event.user || event.user === owner) listener(event);
+  };
+  bus.on('event', filtered);
+  return () => bus.off('event', filtered);
+}
+
+/* Events after `id` that `userId` may see (empty when `id` is older than the replay buffer) */
+export function eventsSince(userId, id) {
+  const owner = String(userId);
+  if (!recent.length || id < recent[0].id - 1) return [];
+  return recent.filter((event) => event.id > id && (!event.user || event.user === owner));
+}
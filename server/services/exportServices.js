@@ -0,0 +1,136 @@
+// server/services/exportServices.js
+import PDFDocument from 'pdfkit';
+import { CATEGORIES } from '../models/articles.js';
+import { findArticlesPage } from './articleServices.js';
+
+/**
+ * Article list exports (saved articles, reading lists) for board packs and memos
+ * - collectArticles walks the GET /api/articles pages for the same filters
+ * - CSV for spreadsheets, Markdown for memos, a PDF briefing grouped by category
+ */
+
+const PAGE_SIZE = 100;
+export const MAX_EXPORT_ITEMS = 500;
+
+export const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  md: { type: 'text/markdown; charset=utf-8', extension: 'md' },
+  pdf: { type: 'application/pdf', extension: 'pdf' }
+};
+
+/* Every article matching the list filters, up to MAX_EXPORT_ITEMS */
+export async function collectArticles(params, userId) {
+  const { limit, cursor, ...filters } = params;
+  const articles = [];
+  let next = null;
+  do {
+    const page = await findArticlesPage({ ...filters, limit: String(PAGE_SIZE), ...(next ? { cursor: next } : {}) }, userId);
+    articles.push(...page.items);
+    next = page.nextCursor;
+  } while (next && articles.length < MAX_EXPORT_ITEMS);
+  return articles.slice(0, MAX_EXPORT_ITEMS);
+}
+
+function plainText(html = '') {
+  return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/* Summary bullets when we have them, the description otherwise */
+function excerptLines(article) {
+  if (article.summary?.length) return article.summary;
+  const text = plainText(article.description || '');
+  return text ? [text] : [];
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/* [{ category, articles }] in CATEGORIES order, list order within a category */
+export function groupByCategory(articles) {
+  const groups = new Map(CATEGORIES.map((c) => [c, []]));
+  for (const a of articles) (groups.get(a.category) || groups.get('Uncategorized')).push(a);
+  return [...groups].filter(([, list]) => list.length).map(([category, list]) => ({ category, articles: list }));
+}
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // spreadsheet apps run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(articles) {
+  const header = ['Title', 'Source', 'Category', 'Published', 'Score', 'Summary', 'Description', 'URL', 'Read', 'Saved', 'Notes'];
+  const rows = articles.map((a) => [
+    a.title,
+    a.source,
+    a.category,
+    formatDay(a.publishedDate),
+    a.relevanceScore?.toFixed(1),
+    (a.summary || []).join(' • '),
+    plainText(a.description || ''),
+    a.url,
+    a.isRead ? 'yes' : 'no',
+    a.isSaved ? 'yes' : 'no',
+    a.notes
+  ]);
+  // BOM so Excel reads UTF-8
+  return `\uFEFF${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function mdEscape(text = '') {
+  return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+export function toMarkdown(articles, { title, generatedAt = new Date() } = {}) {
+  const lines = [`# ${mdEscape(title)}`, '', `_${articles.length} articles, exported ${formatDay(generatedAt)}_`];
+  for (const group of groupByCategory(articles)) {
+    lines.push('', `## ${mdEscape(group.category)}`);
+    for (const a of group.articles) {
+      lines.push('', `### [${mdEscape(a.title)}](${a.url.replace(/\)/g, '%29')})`, '', `*${mdEscape(a.source)} · ${formatDay(a.publishedDate)}*`, '');
+      lines.push(...excerptLines(a).map((line) => `- ${mdEscape(line)}`));
+      if (a.notes) lines.push('', `> ${mdEscape(a.notes).replace(/\n/g, '\n> ')}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/* Print-ready briefing: cover line, then one section per category. Pipes into `stream` and ends it. */
+export function writePdf(articles, stream, { title, generatedAt = new Date() } = {}) {
+  const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title, Producer: 'Gaetan Feed' } });
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#111111').text(title);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10).fillColor('#666666')
+    .text(`${articles.length} articles · generated ${formatDay(generatedAt)}`);
+
+  if (articles.length === 0) {
+    doc.moveDown().fontSize(12).fillColor('#111111').text('No articles match these filters.');
+  }
+
+  for (const group of groupByCategory(articles)) {
+    doc.moveDown(1.2);
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('#111111').text(group.category);
+    doc.moveTo(doc.page.margins.left, doc.y + 2)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+      .strokeColor('#cccccc').stroke();
+    doc.moveDown(0.6);
+
+    for (const a of group.articles) {
+      // keep a title with at least its first lines
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 90) doc.addPage();
+
+      doc.font('Helvetica-Bold').fontSize(12).fillColor('#111111').text(a.title, { link: a.url });
+      doc.font('Helvetica').fontSize(9).fillColor('#666666').text(`${a.source} · ${formatDay(a.publishedDate)}`);
+      doc.moveDown(0.2);
+      doc.fontSize(10.5).fillColor('#222222');
+      for (const line of excerptLines(a)) doc.text(`•  ${line}`, { indent: 8 });
+      doc.fontSize(8.5).fillColor('#1a5fb4').text(a.url, { link: a.url, underline: false });
+      doc.moveDown(0.8);
+    }
+  }
+
+  doc.end();
+}
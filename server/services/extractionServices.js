@@ -0,0 +1,104 @@
+// server/services/extractionServices.js
+
+/**
+ * Readability-style article text extraction on an already loaded cheerio page
+ * - drops chrome (scripts, nav, header/footer, asides, forms, share widgets)
+ * - scores block containers by the paragraphs they hold (text length, commas),
+ *   penalised by link density, and keeps the best one
+ * - returns cleaned paragraphs joined by blank lines, word count and reading time
+ */
+
+const WORDS_PER_MINUTE = 230;
+const MIN_PARAGRAPH_CHARS = 40;
+const MIN_ARTICLE_WORDS = 120; // below this the page is most likely a teaser or paywall
+
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button', 'nav', 'header', 'footer', 'aside',
+  'figure figcaption', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]'
+].join(',');
+
+const NOISE_CLASS = /(comment|share|social|related|promo|newsletter|subscribe|advert|sponsor|cookie|sidebar|footer|popup|modal|breadcrumb)/i;
+
+const PREFERRED_CONTAINERS = ['[itemprop="articleBody"]', 'article', '[role="main"]', 'main'];
+
+function cleanText(text = '') {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function paragraphsOf($, root) {
+  return $(root)
+    .find('p, h2, h3, li, blockquote')
+    .map((i, el) => cleanText($(el).text()))
+    .get()
+    .filter((t) => t.length >= MIN_PARAGRAPH_CHARS);
+}
+
+function linkDensity($, el) {
+  const textLength = cleanText($(el).text()).length || 1;
+  const linkLength = $(el)
+    .find('a')
+    .map((i, a) => cleanText($(a).text()).length)
+    .get()
+    .reduce((sum, n) => sum + n, 0);
+  return linkLength / textLength;
+}
+
+/* Best container element by paragraph score */
+function bestContainer($) {
+  const scores = new Map();
+
+  $('p').each((i, p) => {
+    const text = cleanText($(p).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+    const score = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100));
+
+    // the parent gets the full score, the grandparent half
+    const parent = p.parent;
+    const grandparent = parent?.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+/* -> { text, wordCount, readingTimeMinutes } or null when nothing article-like is found.
+   Mutates the page (noise is removed), so read metadata such as og:image first. */
+export function extractReadableContent($) {
+  $(NOISE_SELECTORS).remove();
+  $('[class], [id]').each((i, el) => {
+    const marker = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    // keep the article wrapper itself even if it carries e.g. "article-share" in a class list
+    if (NOISE_CLASS.test(marker) && $(el).find('p').length < 3) $(el).remove();
+  });
+
+  let paragraphs = [];
+  for (const selector of PREFERRED_CONTAINERS) {
+    const el = $(selector).first();
+    if (el.length) {
+      paragraphs = paragraphsOf($, el);
+      if (paragraphs.length >= 3) break;
+    }
+  }
+  if (paragraphs.length < 3) {
+    const container = bestContainer($);
+    if (container) paragraphs = paragraphsOf($, container);
+  }
+
+  // repeated blocks (e.g. pull quotes) only once
+  paragraphs = [...new Set(paragraphs)];
+  const text = paragraphs.join('\n\n');
+  const wordCount = text ? text.split(/\s+/).length : 0;
+  if (wordCount < MIN_ARTICLE_WORDS) return null;
+
+  return { text, wordCount, readingTimeMinutes: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) };
+}
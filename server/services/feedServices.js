@@ -1,89 +1,87 @@
 // server/services/feedServices.js
+import { readFile } from 'fs/promises';
 import Parser from 'rss-parser';
-import axios from 'axios';
 import * as cheerio from 'cheerio';
-import Article from '../models/articles.js';
+import Article, { CATEGORIES } from '../models/articles.js';
+import Feed from '../models/feeds.js';
+import FetchRun from '../models/fetchRuns.js';
+import { classify, loadRules } from './categorizationServices.js';
+import { chooseCategory, loadClassifier } from './classifierServices.js';
+import { scoreArticle } from './scoringServices.js';
+import { assignStory, canonicalizeUrl, storySignature } from './dedupServices.js';
+import { extractReadableContent } from './extractionServices.js';
+import { summaryFields } from './summaryServices.js';
+import { parseOpml } from './opmlServices.js';
+import { evaluateWatches } from './alertServices.js';
+import { publish } from './eventServices.js';
+import { guardedGet, urlRejection } from './outboundServices.js';
+import { getConfig } from '../config.js';
 
 /**
  * Robust feed service
  * - prefers RSS-provided images (enclosure, media:content)
  * - falls back to guarded page-scraping (og:image, twitter:image, first <img>)
+ * - optionally extracts the readable article text from the same page (Feed.extractContent)
  * - limits concurrency so we don't get blocked
  * - retries feed fetching a few times
- * - upserts by URL to avoid duplicates
+ * - polls with conditional GET (ETag / Last-Modified) and skips scraping for known images
+ * - upserts by canonical URL to avoid duplicates, clusters near-duplicates into stories
+ * - matches new articles against watchlists (alertServices.js)
+ * - publishes new articles and fetch progress to /api/stream (eventServices.js)
+ * - every request goes through outboundServices.js (no private addresses, host lists, size limits)
  */
 
 /* ----------------------------
    Configuration
+   - timeouts, retries, scrape concurrency and response size limits come from config.js
+     (FEED_TIMEOUT_MS, SCRAPE_TIMEOUT_MS, FEED_RETRIES, SCRAPE_CONCURRENCY, FETCH_MAX_*_BYTES)
    ----------------------------*/
-const DEFAULT_TIMEOUT = 20000; // parser timeout for RSS (ms)
-const SCRAPE_TIMEOUT = 10000; // page scraping timeout (ms)
-const MAX_FEED_RETRIES = 2; // feed parsing retries
-const MAX_SCRAPE_CONCURRENCY = 4; // concurrent scrapes per feed (simple queue)
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36';
 
-/* Create rss-parser with headers and timeout */
-const parser = new Parser({
-  timeout: DEFAULT_TIMEOUT,
-  headers: {
-    'User-Agent': USER_AGENT,
-    Accept: 'application/rss+xml, application/xml, text/xml, */*'
-  }
-});
-
-/* ----------------------------
-   Feeds list (you can edit this)
-   ----------------------------*/
-export const RSS_FEEDS = [
-  { url: 'https://www.ft.com/?format=rss', source: 'Financial Times' },
-  { url: 'https://www.economist.com/the-world-this-week/rss.xml', source: 'The Economist' },
-  { url: 'https://sloanreview.mit.edu/feed/', source: 'MIT Sloan Management Review' },
-  { url: 'https://www.mckinsey.com/featured-insights/rss', source: 'McKinsey' },
-  { url: 'https://www2.deloitte.com/global/en/insights/rss.html', source: 'Deloitte Insights' },
-  { url: 'https://www.privateequityinternational.com/feed/', source: 'Private Equity International' },
-  { url: 'https://african.business/feed/', source: 'African Business Magazine' },
-  { url: 'https://businessday.ng/feed/', source: 'BusinessDay Nigeria' },
-  { url: 'https://kpmg.com/xx/en/blogs.rss.html', source: 'KPMG Insights' },
-  { url: 'https://www.imf.org/external/pubs/ft/survey/so/rss.aspx?items=1', source: 'IMF' }
-];
-
-/* ----------------------------
-   Category keywords (simple rule-based)
-   ----------------------------*/
-export const CATEGORY_KEYWORDS = {
-  'Capital Strategy': ['rate', 'inflation', 'capital', 'market', 'macro', 'liquidity', 'monetary', 'fiscal'],
-  'Private Markets & M&A': ['deal', 'acquisition', 'valuation', 'lbo', 'private equity', 'funding', 'term sheet', 'merger', 'buyout'],
-  'Operational Excellence': ['productivity', 'cost', 'efficiency', 'automation', 'forecast', 'transformation', 'fp&a', 'operations'],
-  'Leadership & Conscious CFO': ['leadership', 'culture', 'behavior', 'influence', 'team', 'decision', 'mindset', 'conscious'],
-  'Africa Finance': ['africa', 'african', 'sub-saharan', 'nigeria', 'kenya', 'south africa']
+/* rss-parser only parses; feeds are downloaded with axios (guardedGet) so we can send conditional headers */
+const parser = new Parser();
+const FEED_HEADERS = {
+  'User-Agent': USER_AGENT,
+  Accept: 'application/rss+xml, application/xml, text/xml, */*'
 };
 
 /* ----------------------------
-   Helpers
+   Seed feeds
+   - feeds.opml is only imported into an empty Feed collection on first start;
+     manage sources through /api/feeds (or its OPML import / export) afterwards
    ----------------------------*/
-export function categorizeArticle(title = '', description = '') {
-  const text = `${title} ${description}`.toLowerCase();
-  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-    for (const k of keywords) {
-      if (text.includes(k.toLowerCase())) return category;
-    }
-  }
-  return 'Uncategorized';
+const SEED_OPML = new URL('../feeds.opml', import.meta.url);
+
+/* Insert the feeds of feeds.opml into the Feed collection if it is empty. Returns number of feeds inserted. */
+export async function seedFeeds() {
+  const count = await Feed.estimatedDocumentCount();
+  if (count > 0) return 0;
+
+  const entries = parseOpml(await readFile(SEED_OPML, 'utf8'));
+  const docs = entries.map((f) => ({ name: f.name, url: f.url, defaultCategory: f.category || 'Uncategorized' }));
+  await Feed.insertMany(docs, { ordered: false });
+  console.log(`🌱 Seeded ${docs.length} feeds`);
+  return docs.length;
 }
 
-export function calculateRelevance(category) {
-  const scores = {
-    'Private Markets & M&A': 5,
-    'Africa Finance': 5,
-    'Capital Strategy': 4,
-    'Operational Excellence': 4,
-    'Leadership & Conscious CFO': 3,
-    'Uncategorized': 1
-  };
-  return scores[category] || 2;
+/* Enabled feeds from the database. With dueOnly, only those whose fetch interval has elapsed. */
+export async function loadFeeds({ dueOnly = false } = {}) {
+  const feeds = await Feed.find({ enabled: true }).lean();
+  if (!dueOnly) return feeds;
+
+  const now = Date.now();
+  return feeds.filter((f) => {
+    if (!f.lastFetchedAt) return true;
+    return now - new Date(f.lastFetchedAt).getTime() >= f.fetchIntervalMinutes * 60 * 1000;
+  });
 }
 
+/* ----------------------------
+   Helpers
+   - categorization rules live in categorizationServices.js
+   - relevance scoring lives in scoringServices.js
+   ----------------------------*/
 function safeDate(dateLike) {
   const d = new Date(dateLike);
   return isNaN(d.getTime()) ? new Date() : d;
@@ -150,174 +148,535 @@ async function extractImageFromItem(item) {
   }
 }
 
-/* Scrape page for image with safe headers/timeouts. Returns absolute URL or null. */
-async function scrapePageForImage(url) {
+/* og:image / twitter:image / first <img> of a loaded page, as an absolute URL or null */
+function findPageImage($, url) {
+  // OpenGraph
+  let img = $('meta[property="og:image"]').attr('content') || $('meta[name="og:image"]').attr('content');
+  if (img) return normalizeUrl(url, img);
+
+  // Twitter card
+  img = $('meta[name="twitter:image"]').attr('content') || $('meta[property="twitter:image"]').attr('content');
+  if (img) return normalizeUrl(url, img);
+
+  // First big image (pick one with width/height attributes or largest natural)
+  const imgs = $('img')
+    .map((i, el) => $(el).attr('src'))
+    .get()
+    .filter(Boolean);
+
+  // choose first absolute or normalized
+  for (const s of imgs) {
+    const n = normalizeUrl(url, s);
+    if (n) return n;
+  }
+
+  return null;
+}
+
+/* Scrape an article page once with safe headers/timeouts.
+   Returns { image, content } (content only when extract is set, null if nothing readable) or null on failure.
+   `adHoc` for links from an ad-hoc feed, as in fetchFeedItemsWithRetries. */
+export async function scrapePage(url, { extract = false, adHoc = false } = {}) {
   if (!url) return null;
   try {
-    const res = await axios.get(url, {
-      timeout: SCRAPE_TIMEOUT,
+    const res = await guardedGet(url, {
+      timeout: getConfig().scrapeTimeoutMs,
+      maxBytes: getConfig().maxPageBytes,
+      adHoc,
       headers: {
         'User-Agent': USER_AGENT,
         Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.9',
         Referer: 'https://www.google.com/'
-      },
-      // do not follow infinite redirects
-      maxRedirects: 3
+      }
     });
 
     const $ = cheerio.load(res.data);
 
-    // OpenGraph
-    let img = $('meta[property="og:image"]').attr('content') || $('meta[name="og:image"]').attr('content');
-    if (img) return normalizeUrl(url, img);
-
-    // Twitter card
-    img = $('meta[name="twitter:image"]').attr('content') || $('meta[property="twitter:image"]').attr('content');
-    if (img) return normalizeUrl(url, img);
-
-    // First big image (pick one with width/height attributes or largest natural)
-    const imgs = $('img')
-      .map((i, el) => $(el).attr('src'))
-      .get()
-      .filter(Boolean);
-
-    // choose first absolute or normalized
-    for (const s of imgs) {
-      const n = normalizeUrl(url, s);
-      if (n) return n;
-    }
-
-    return null;
+    // image first: content extraction strips parts of the page
+    const image = findPageImage($, url);
+    const content = extract ? extractReadableContent($) : null;
+    return { image, content };
   } catch (err) {
     // Many big publishers block scraping -> axios will return 403 in many cases.
     // We log but don't fail the whole process.
     // Keep message concise
-    console.warn(`Failed to fetch image for ${url}: ${err.message}`);
+    console.warn(`Failed to scrape ${url}: ${err.message}`);
     return null;
   }
 }
 
+/* Article fields for an extraction attempt (content: result of extractReadableContent or null) */
+export function contentFields(content) {
+  return {
+    contentText: content?.text || '',
+    wordCount: content?.wordCount || 0,
+    readingTimeMinutes: content?.readingTimeMinutes || 0,
+    contentStatus: content ? 'ok' : 'empty',
+    contentExtractedAt: new Date()
+  };
+}
+
 /* ----------------------------
    Feed fetching with retries
+   - conditional GET: sends If-None-Match / If-Modified-Since from the stored
+     ETag / Last-Modified, a 304 means nothing changed and no items are parsed
+   - `adHoc`: the feed came from a request body, not the database or an admin, and must also pass
+     FETCH_ALLOWED_HOSTS (outboundServices.js)
+   - never throws; returns { ok, notModified, items, httpStatus, etag, lastModified, attempts, errors }
    ----------------------------*/
-async function fetchFeedItemsWithRetries(feed, retries = MAX_FEED_RETRIES) {
+export async function fetchFeedItemsWithRetries(feed, { retries = getConfig().feedRetries, adHoc = false } = {}) {
+  const errors = [];
+  let httpStatus = null;
+
+  const headers = { ...FEED_HEADERS };
+  if (feed.etag) headers['If-None-Match'] = feed.etag;
+  if (feed.lastModified) headers['If-Modified-Since'] = feed.lastModified;
+
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      const parsed = await parser.parseURL(feed.url);
+      const res = await guardedGet(feed.url, {
+        timeout: getConfig().feedTimeoutMs,
+        maxBytes: getConfig().maxFeedBytes,
+        adHoc,
+        headers,
+        responseType: 'text',
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+      });
+      const cache = {
+        etag: res.headers.etag || feed.etag || null,
+        lastModified: res.headers['last-modified'] || feed.lastModified || null
+      };
+
+      if (res.status === 304) {
+        console.log(`⏭️  ${feed.name || feed.source} not modified`);
+        return { ok: true, notModified: true, items: [], httpStatus: 304, ...cache, attempts: attempt + 1, errors };
+      }
+
+      const parsed = await parser.parseString(res.data);
       const items = parsed?.items || [];
-      console.log(`✅ Fetched ${items.length} items from ${feed.source}`);
-      return items;
+      console.log(`✅ Fetched ${items.length} items from ${feed.name || feed.source}`);
+      return { ok: true, notModified: false, items, httpStatus: res.status, ...cache, attempts: attempt + 1, errors };
     } catch (err) {
+      httpStatus = err.response?.status || null;
+      errors.push(err.message);
       console.warn(`Feed failed (${feed.url}) attempt ${attempt + 1}: ${err.message}`);
+      // a refused host stays refused
+      if (err.code === 'EBLOCKEDHOST') return { ok: false, notModified: false, items: [], httpStatus, attempts: attempt + 1, errors };
       // small backoff
       await new Promise((r) => setTimeout(r, 500 * (attempt + 1)));
     }
   }
   console.error(`❌ All attempts failed for feed: ${feed.url}`);
-  return [];
+  return { ok: false, notModified: false, items: [], httpStatus, attempts: retries + 1, errors };
+}
+
+/* ----------------------------
+   Ad-hoc feeds (POST /api/fetch-feeds body)
+   - { feeds: [{ url, source?, defaultCategory?, extractContent?, sourceWeight? }] }, nothing else
+   - URLs must pass urlRejection (allowed / blocked hosts, no private addresses); the
+     fetch itself re-checks every hop after DNS resolution
+   ----------------------------*/
+const MAX_ADHOC_FEEDS = 20;
+const ADHOC_FIELDS = ['url', 'source', 'defaultCategory', 'extractContent', 'sourceWeight'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/* -> validated feed list, or null when the body asks for the stored feeds; throws a 400 error otherwise */
+export function parseAdHocFeeds(body) {
+  if (body === undefined || body === null) return null;
+  if (!isPlainObject(body)) throw badRequest('Body must be a JSON object');
+  const extra = Object.keys(body).filter((key) => key !== 'feeds');
+  if (extra.length) throw badRequest(`Unknown field "${extra[0]}"`);
+  if (body.feeds === undefined) return null;
+
+  const { feeds } = body;
+  if (!Array.isArray(feeds) || feeds.length === 0) throw badRequest('"feeds" must be a non-empty array');
+  if (feeds.length > MAX_ADHOC_FEEDS) throw badRequest(`"feeds" can list at most ${MAX_ADHOC_FEEDS} feeds`);
+
+  return feeds.map((feed, i) => {
+    const at = `feeds[${i}]`;
+    if (!isPlainObject(feed)) throw badRequest(`${at} must be an object`);
+    const unknown = Object.keys(feed).find((key) => !ADHOC_FIELDS.includes(key));
+    if (unknown) throw badRequest(`${at}: unknown field "${unknown}"`);
+
+    if (typeof feed.url !== 'string' || !feed.url.trim() || feed.url.length > 2048) {
+      throw badRequest(`${at}.url must be a URL of at most 2048 characters`);
+    }
+    const url = feed.url.trim();
+    const rejection = urlRejection(url, { adHoc: true });
+    if (rejection) throw badRequest(`${at}.url: ${rejection}`);
+
+    if (feed.source !== undefined && (typeof feed.source !== 'string' || !feed.source.trim() || feed.source.length > 200)) {
+      throw badRequest(`${at}.source must be a non-empty string of at most 200 characters`);
+    }
+    if (feed.defaultCategory !== undefined && !CATEGORIES.includes(feed.defaultCategory)) {
+      throw badRequest(`${at}.defaultCategory must be one of: ${CATEGORIES.join(', ')}`);
+    }
+    if (feed.extractContent !== undefined && typeof feed.extractContent !== 'boolean') {
+      throw badRequest(`${at}.extractContent must be a boolean`);
+    }
+    if (feed.sourceWeight !== undefined && !(typeof feed.sourceWeight === 'number' && feed.sourceWeight >= 0 && feed.sourceWeight <= 2)) {
+      throw badRequest(`${at}.sourceWeight must be a number between 0 and 2`);
+    }
+
+    return {
+      url,
+      source: feed.source?.trim() || new URL(url).hostname,
+      defaultCategory: feed.defaultCategory || 'Uncategorized',
+      extractContent: feed.extractContent ?? false,
+      sourceWeight: feed.sourceWeight ?? 1
+    };
+  });
+}
+
+/* ----------------------------
+   Item -> article document
+   - feeds from the database carry `name` and `defaultCategory`,
+     ad-hoc feeds (POST /api/fetch-feeds body) carry `source`
+   ----------------------------*/
+async function buildArticleData(item, feed, { existing = new Map(), rules, model, adHoc = false } = {}) {
+  const title = (item.title || '').trim() || 'No title';
+  const desc = (item.contentSnippet || item['content:encoded'] || item.content || '').trim();
+  const url = canonicalizeUrl(item.link || item.guid) || '#';
+  const known = existing.get(url);
+
+  const ruled = classify(title, desc, rules);
+  let { category, source: categorySource, prediction } = chooseCategory(ruled, model, title, desc);
+  if (category === 'Uncategorized' && feed.defaultCategory) {
+    category = feed.defaultCategory;
+    categorySource = 'feed';
+  }
+  // a user's correction outlives re-fetches
+  const manual = known?.categorySource === 'manual';
+  if (manual) category = known.category;
+
+  const publishedDate = safeDate(item.pubDate || item.isoDate);
+  const { score: relevanceScore, explanation: scoreExplanation } = scoreArticle(
+    { category, tags: ruled.tags, publishedDate, engagement: known?.engagement },
+    { sourceWeight: feed.sourceWeight ?? 1 }
+  );
+
+  // 1) quick extract from RSS fields or content
+  let image = await extractImageFromItem(item);
+
+  // 2) reuse an image we already stored for this URL instead of re-scraping
+  if (!image) image = known?.image || null;
+
+  // 3) if none (or the feed wants full text we don't have yet), attempt guarded scrape
+  const extract = Boolean(feed.extractContent) && !known?.contentExtractedAt;
+  let scraped = null;
+  if (!image || extract) {
+    // scrape may fail with 403 (publisher blocks), that's OK
+    scraped = await scrapePage(item.link || item.guid, { extract, adHoc });
+    if (!image) image = scraped?.image || null;
+  }
+
+  // ensure normalized image url if relative
+  if (image && item.link) image = normalizeUrl(item.link, image) || image;
+
+  const articleData = {
+    title,
+    url,
+    source: feed.name || feed.source,
+    category,
+    categorySource,
+    tags: ruled.tags,
+    prediction: prediction ? { category: prediction.category, confidence: prediction.confidence } : null,
+    description: desc.substring(0, 1200),
+    publishedDate,
+    relevanceScore,
+    scoreExplanation,
+    scoredAt: new Date(),
+    dedup: storySignature(title, desc),
+    image: image || null
+  };
+
+  if (extract) {
+    // a failed scrape is recorded too, so blocked pages are not retried on every poll
+    Object.assign(articleData, scraped ? contentFields(scraped.content) : { contentStatus: 'failed', contentExtractedAt: new Date() });
+  }
+
+  // summarize after extraction: the body text when we just got it, the description for new articles
+  if (extract || !known?.summarizedAt) {
+    Object.assign(articleData, summaryFields({ contentText: articleData.contentText, description: articleData.description }));
+  }
+
+  if (manual) {
+    delete articleData.category;
+    delete articleData.categorySource;
+  }
+  return articleData;
+}
+
+/* Card fields of a freshly inserted article for the event stream (per-user state starts empty) */
+function streamArticle(_id, data) {
+  const { title, url, source, category, tags, description, summary, image, publishedDate, relevanceScore, scoreExplanation } = data;
+  return {
+    _id, title, url, source, category, tags, description, summary, image, publishedDate, relevanceScore, scoreExplanation,
+    isRead: false,
+    isSaved: false
+  };
+}
+
+/* Update health fields on a database feed after a fetch attempt (ad-hoc feeds have no _id). */
+async function recordFeedResult(feed, result, cache = {}) {
+  if (!feed._id) return;
+  const now = new Date();
+  const update = result.ok
+    ? {
+        $set: {
+          lastFetchedAt: now,
+          lastSuccessAt: now,
+          lastHttpStatus: result.httpStatus,
+          consecutiveFailures: 0,
+          etag: cache.etag || null,
+          lastModified: cache.lastModified || null
+        }
+      }
+    : {
+        $set: {
+          lastFetchedAt: now,
+          lastFailureAt: now,
+          lastHttpStatus: result.httpStatus,
+          lastError: result.errorMessages[result.errorMessages.length - 1] || 'Unknown error'
+        },
+        $inc: { consecutiveFailures: 1 }
+      };
+  try {
+    await Feed.updateOne({ _id: feed._id }, update);
+  } catch (err) {
+    console.error(`Failed to record health for ${feed.url}:`, err.message);
+  }
+}
+
+/* url -> { image, category, categorySource, engagement, contentExtractedAt, summarizedAt } for items we already stored
+   (known images, texts and summaries are not redone, manual categories are kept, engagement feeds the score) */
+async function loadExisting(items) {
+  const urls = items.map((item) => canonicalizeUrl(item.link || item.guid)).filter(Boolean);
+  if (urls.length === 0) return new Map();
+  try {
+    const existing = await Article.find({ url: { $in: urls } }, { url: 1, image: 1, category: 1, categorySource: 1, engagement: 1, contentExtractedAt: 1, summarizedAt: 1 }).lean();
+    return new Map(existing.map((a) => [a.url, a]));
+  } catch (err) {
+    console.warn('Existing article lookup failed:', err.message);
+    return new Map();
+  }
+}
+
+/* Fetch one feed and upsert its items. Returns a FetchRun feed result. */
+async function processFeed(feed, { adHoc = false } = {}) {
+  const startedAt = Date.now();
+  const fetched = await fetchFeedItemsWithRetries(feed, { adHoc });
+  const result = {
+    feed: feed._id || null,
+    source: feed.name || feed.source,
+    url: feed.url,
+    ok: fetched.ok,
+    notModified: fetched.notModified,
+    httpStatus: fetched.httpStatus,
+    attempts: fetched.attempts,
+    itemCount: fetched.items.length,
+    inserted: 0,
+    updated: 0,
+    itemErrors: 0,
+    errorMessages: [...fetched.errors],
+    durationMs: 0
+  };
+
+  const existing = await loadExisting(fetched.items);
+  const rules = await loadRules();
+  const model = await loadClassifier();
+
+  // per-feed limited queue for scraping
+  const queue = createLimitedQueue(getConfig().scrapeConcurrency);
+  // process all items (map -> promises), but extraction+save done with queue for scrape concurrency limit
+  const promises = fetched.items.map((item) =>
+    queue(async () => {
+      try {
+        const articleData = await buildArticleData(item, feed, { existing, rules, model, adHoc });
+
+        // upsert (unique by url) - updateOne with $set avoids duplicate inserts
+        const res = await Article.updateOne({ url: articleData.url }, { $set: articleData }, { upsert: true });
+        if (res.upsertedCount) {
+          result.inserted += 1;
+          // only new articles join (or start) a story
+          const story = await assignStory({ _id: res.upsertedId, ...articleData });
+          // dashboards show one card per story
+          if (String(story) === String(res.upsertedId)) publish('article.new', { article: streamArticle(res.upsertedId, articleData) });
+          // so do watchlist alerts; a failing watch must not count against the item
+          await evaluateWatches({ _id: res.upsertedId, ...articleData }).catch((err) =>
+            console.error('Watch evaluation failed:', err.message)
+          );
+        }
+        else if (res.modifiedCount) result.updated += 1;
+      } catch (err) {
+        // don't let single-item errors stop the loop
+        result.itemErrors += 1;
+        result.errorMessages.push(err.message || String(err));
+        console.error('Item processing error:', err.message || err);
+      }
+    })
+  );
+
+  // wait for all items of this feed to complete before moving to next feed
+  await Promise.all(promises);
+
+  result.durationMs = Date.now() - startedAt;
+  await recordFeedResult(feed, result, { etag: fetched.etag, lastModified: fetched.lastModified });
+  return result;
 }
 
 /* ----------------------------
    Main: fetchAllFeeds
    - processes feeds sequentially with throttled scraping per feed
    - updates MongoDB using updateOne({url}, {$set: articleData}, {upsert:true})
+   - records the whole run as a FetchRun document and returns it
+   - when run by a Job (jobServices.js): reports after each feed through `onFeedDone(run)` and
+     stops before the next feed once `isCancelled()` resolves true
+   - `adHoc` for a list from a request body (see fetchFeedItemsWithRetries)
    ----------------------------*/
-export async function fetchAllFeeds(feeds = RSS_FEEDS) {
+export async function fetchAllFeeds(feeds, { trigger = 'manual', job = null, adHoc = false, onFeedDone, isCancelled } = {}) {
   console.log('📡 Fetching RSS feeds...');
 
-  let totalSaved = 0;
+  // no explicit list -> every enabled feed whose interval has elapsed
+  if (!feeds) feeds = await loadFeeds({ dueOnly: true });
+
+  const run = await FetchRun.create({ trigger, job, startedAt: new Date() });
+  publish('fetch.progress', { runId: run._id, trigger, phase: 'started', done: 0, total: feeds.length });
+
   // iterate feeds sequentially to reduce total parallel requests
+  let cancelled = false;
   for (const feed of feeds) {
-    const items = await fetchFeedItemsWithRetries(feed);
+    if (isCancelled && (await isCancelled())) {
+      cancelled = true;
+      break;
+    }
+    const result = await processFeed(feed, { adHoc });
+    run.feeds.push(result);
+    publish('fetch.progress', {
+      runId: run._id,
+      trigger,
+      phase: 'feed',
+      done: run.feeds.length,
+      total: feeds.length,
+      feed: { source: result.source, ok: result.ok, notModified: result.notModified, inserted: result.inserted, updated: result.updated }
+    });
+    if (onFeedDone) await onFeedDone(run);
+  }
+
+  const totals = { feeds: run.feeds.length, failedFeeds: 0, notModified: 0, items: 0, inserted: 0, updated: 0, itemErrors: 0 };
+  for (const r of run.feeds) {
+    if (!r.ok) totals.failedFeeds += 1;
+    if (r.notModified) totals.notModified += 1;
+    totals.items += r.itemCount;
+    totals.inserted += r.inserted;
+    totals.updated += r.updated;
+    totals.itemErrors += r.itemErrors;
+  }
+
+  run.totals = totals;
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  if (cancelled) run.status = 'cancelled';
+  else if (totals.feeds > 0 && totals.failedFeeds === totals.feeds) run.status = 'failed';
+  else if (totals.failedFeeds > 0 || totals.itemErrors > 0) run.status = 'partial';
+  else run.status = 'success';
+  await run.save();
+  publish('fetch.progress', { runId: run._id, trigger, phase: 'finished', done: totals.feeds, total: totals.feeds, status: run.status, totals });
+
+  console.log(`✅ All feeds processed — ${totals.inserted} new, ${totals.updated} updated, ${totals.failedFeeds} feeds failed`);
+  return run;
+}
+
+/* ----------------------------
+   OPML import (entries from opmlServices.parseOpml)
+   - duplicates (already stored, or twice in the file) and invalid URLs are skipped and reported
+   - the rest gets one test fetch; feeds failing it are saved disabled, with the error recorded
+   - returns { imported, duplicates, invalid, failed } (failed feeds are also in imported)
+   ----------------------------*/
+function validFeedUrl(raw) {
+  try {
+    const url = new URL(raw);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
 
-    // per-feed limited queue for scraping
-    const queue = createLimitedQueue(MAX_SCRAPE_CONCURRENCY);
-    // process all items (map -> promises), but extraction+save done with queue for scrape concurrency limit
-    const promises = items.map((item) =>
+export async function importFeeds(entries, { testFetch = true } = {}) {
+  const report = { imported: [], duplicates: [], invalid: [], failed: [] };
+
+  const candidates = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    const url = validFeedUrl(entry.url);
+    if (!url) {
+      report.invalid.push({ name: entry.name, url: entry.url });
+      continue;
+    }
+    if (seen.has(url)) {
+      report.duplicates.push({ name: entry.name, url, reason: 'listed twice in the file' });
+      continue;
+    }
+    seen.add(url);
+    candidates.push({ ...entry, url, name: entry.name || new URL(url).hostname });
+  }
+
+  // stored URLs may lack the trailing slash URL() adds to bare hosts
+  const stored = await Feed.find({ url: { $in: candidates.flatMap((c) => [c.url, c.url.replace(/\/$/, '')]) } }, { url: 1, name: 1 }).lean();
+  const storedUrls = new Set(stored.map((f) => validFeedUrl(f.url) || f.url));
+  const fresh = candidates.filter((c) => {
+    if (!storedUrls.has(c.url)) return true;
+    report.duplicates.push({ name: c.name, url: c.url, reason: 'already subscribed' });
+    return false;
+  });
+
+  const queue = createLimitedQueue(getConfig().scrapeConcurrency);
+  await Promise.all(
+    fresh.map((entry) =>
       queue(async () => {
-        try {
-          const title = (item.title || '').trim() || 'No title';
-          const desc = (item.contentSnippet || item['content:encoded'] || item.content || '').trim();
-          const category = categorizeArticle(title, desc);
-          const relevanceScore = calculateRelevance(category);
-
-          // 1) quick extract from RSS fields or content
-          let image = await extractImageFromItem(item);
-
-          // 2) if none, attempt guarded scrape
-          if (!image) {
-            // scrape may fail with 403 (publisher blocks), that's OK
-            const scraped = await scrapePageForImage(item.link || item.guid);
-            image = scraped || null;
+        const data = { name: entry.name, url: entry.url, defaultCategory: entry.category || 'Uncategorized', enabled: entry.enabled };
+        if (testFetch) {
+          const fetched = await fetchFeedItemsWithRetries({ url: entry.url, name: entry.name }, { retries: 0 });
+          if (!fetched.ok) {
+            const error = fetched.errors[fetched.errors.length - 1] || 'Unknown error';
+            report.failed.push({ name: entry.name, url: entry.url, httpStatus: fetched.httpStatus, error });
+            Object.assign(data, {
+              enabled: false,
+              lastError: error,
+              lastHttpStatus: fetched.httpStatus,
+              lastFailureAt: new Date(),
+              consecutiveFailures: 1
+            });
           }
+        }
 
-          // ensure normalized image url if relative
-          if (image && item.link) image = normalizeUrl(item.link, image) || image;
-
-          const articleData = {
-            title,
-            url: item.link || item.guid || '#',
-            source: feed.source,
-            category,
-            description: desc.substring(0, 1200),
-            publishedDate: safeDate(item.pubDate || item.isoDate),
-            relevanceScore,
-            image: image || null
-          };
-
-          // upsert (unique by url) - updateOne with $set avoids duplicate inserts
-          await Article.updateOne({ url: articleData.url }, { $set: articleData }, { upsert: true });
-          totalSaved += 1;
+        try {
+          const feed = await Feed.create(data);
+          report.imported.push({ _id: feed._id, name: feed.name, url: feed.url, defaultCategory: feed.defaultCategory, enabled: feed.enabled });
         } catch (err) {
-          // don't let single-item errors stop the loop
-          console.error('Item processing error:', err.message || err);
+          // a concurrent import or an equivalent URL spelling
+          if (err.code === 11000) report.duplicates.push({ name: entry.name, url: entry.url, reason: 'already subscribed' });
+          else report.invalid.push({ name: entry.name, url: entry.url, error: err.message });
         }
       })
-    );
-
-    // wait for all items of this feed to complete before moving to next feed
-    await Promise.all(promises);
-  }
+    )
+  );
 
-  console.log(`✅ All feeds processed — items processed (approx): ${totalSaved}`);
+  console.log(`📥 OPML import: ${report.imported.length} imported, ${report.duplicates.length} duplicates, ${report.invalid.length} invalid, ${report.failed.length} failed test fetch`);
+  return report;
 }
 
 /* ----------------------------
    Optional helper for single-feed fetch (exports if you need)
    ----------------------------*/
 export async function fetchSingleFeedAndSave(feed) {
-  const items = await fetchFeedItemsWithRetries(feed);
-  const queue = createLimitedQueue(MAX_SCRAPE_CONCURRENCY);
-  for (const item of items) {
-    await queue(async () => {
-      // reuse same logic as above: simpler inline to avoid duplication
-      const title = (item.title || '').trim() || 'No title';
-      const desc = (item.contentSnippet || item['content:encoded'] || item.content || '').trim();
-      const category = categorizeArticle(title, desc);
-      const relevanceScore = calculateRelevance(category);
-
-      let image = await extractImageFromItem(item);
-      if (!image) image = await scrapePageForImage(item.link || item.guid);
-
-      if (image && item.link) image = normalizeUrl(item.link, image) || image;
-
-      const articleData = {
-        title,
-        url: item.link || item.guid || '#',
-        source: feed.source,
-        category,
-        description: desc.substring(0, 1200),
-        publishedDate: safeDate(item.pubDate || item.isoDate),
-        relevanceScore,
-        image: image || null
-      };
-
-      try {
-        await Article.updateOne({ url: articleData.url }, { $set: articleData }, { upsert: true });
-      } catch (err) {
-        if (err.code !== 11000) console.error('Save error (single):', err.message || err);
-      }
-    });
-  }
+  return processFeed(feed);
 }
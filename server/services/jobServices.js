@@ -0,0 +1,216 @@
+// server/services/jobServices.js
+import os from 'os';
+import Job from '../models/jobs.js';
+import Lock from '../models/locks.js';
+import { fetchAllFeeds, loadFeeds } from './feedServices.js';
+
+/**
+ * Background jobs (Mongo-backed queue)
+ * - every feed fetch (manual, cron, startup) is enqueued as a 'fetch-feeds' Job
+ * - one worker per process polls the queue; a lease Lock ('ingest') makes sure only one
+ *   ingest runs at a time, across processes too
+ * - the running job is updated after every feed (progress) and checked for a cancel request
+ *   before the next one
+ * - a running job whose heartbeat stopped (crashed / restarted process) is marked failed
+ * - a worker that fails to renew its lease stops its job before the next feed and takes no more jobs,
+ *   so the lock holder is the only one ingesting
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const INGEST_LOCK = 'ingest';
+const POLL_INTERVAL = 5000;
+const HEARTBEAT_INTERVAL = 15000;
+// lease length; a holder that misses a few heartbeats loses the lock and its job counts as stale
+const LOCK_TTL = 60000;
+
+let pollTimer = null;
+let busy = false;
+
+/* Takes (or renews) lock `name` for this worker; false while another worker holds an unexpired lease */
+export async function acquireLock(name, ttl = LOCK_TTL) {
+  const now = new Date();
+  try {
+    const lock = await Lock.findOneAndUpdate(
+      { _id: name, $or: [{ owner: WORKER_ID }, { expiresAt: { $lte: now } }, { expiresAt: null }] },
+      { $set: { owner: WORKER_ID, expiresAt: new Date(now.getTime() + ttl) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (err) {
+    // the upsert raced an existing, still-held lock
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+export async function releaseLock(name) {
+  await Lock.updateOne({ _id: name, owner: WORKER_ID }, { $set: { owner: null, expiresAt: null } });
+}
+
+/* Queues a feed fetch: `feeds` for an ad-hoc list, otherwise the stored feeds (only the due ones unless manual).
+   An identical job still waiting in the queue is returned instead of queueing a second one. */
+export async function enqueueFetch({ trigger = 'manual', feeds = null, requestedBy = null } = {}) {
+  const payload = feeds ? { feeds } : { dueOnly: trigger !== 'manual' };
+
+  let job = null;
+  if (!feeds) {
+    job = await Job.findOne({
+      type: 'fetch-feeds',
+      status: 'queued',
+      'payload.dueOnly': payload.dueOnly,
+      'payload.feeds': { $exists: false }
+    });
+  }
+  if (!job) job = await Job.create({ type: 'fetch-feeds', trigger, payload, requestedBy });
+
+  kick();
+  return job;
+}
+
+/* Cancels a queued job outright; a running one stops before its next feed. null when not found. */
+export async function cancelJob(id) {
+  const queued = await Job.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  const job = await Job.findOne({ _id: id });
+  if (!job) return null;
+  if (job.status !== 'running') {
+    const err = new Error(`Job already ${job.status}`);
+    err.status = 409;
+    throw err;
+  }
+  job.cancelRequested = true;
+  await job.save();
+  return job;
+}
+
+function progressOf(run, feedsTotal) {
+  const progress = { feedsTotal, feedsDone: run.feeds.length, items: 0, inserted: 0, updated: 0, errors: 0 };
+  for (const r of run.feeds) {
+    progress.items += r.itemCount;
+    progress.inserted += r.inserted;
+    progress.updated += r.updated;
+    progress.errors += (r.ok ? 0 : 1) + r.itemErrors;
+  }
+  return progress;
+}
+
+async function runFetchJob(job, lease) {
+  const feeds = job.payload.feeds || (await loadFeeds({ dueOnly: Boolean(job.payload.dueOnly) }));
+  await Job.updateOne({ _id: job._id }, { $set: { 'progress.feedsTotal': feeds.length } });
+
+  const run = await fetchAllFeeds(feeds, {
+    trigger: job.trigger,
+    job: job._id,
+    // feeds from the request body (parseAdHocFeeds) are held to FETCH_ALLOWED_HOSTS
+    adHoc: Boolean(job.payload.feeds),
+    onFeedDone: (current) =>
+      Job.updateOne(
+        { _id: job._id },
+        { $set: { progress: progressOf(current, feeds.length), fetchRun: current._id, heartbeatAt: new Date() } }
+      ),
+    isCancelled: async () => lease.lost || Boolean(await Job.exists({ _id: job._id, cancelRequested: true }))
+  });
+
+  let status = run.status === 'cancelled' ? 'cancelled' : run.status === 'failed' ? 'failed' : 'succeeded';
+  let error = status === 'failed' ? 'Every feed failed' : null;
+  if (lease.lost) {
+    status = 'failed';
+    error = 'Lost the ingest lock to another worker';
+  }
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status,
+        progress: progressOf(run, feeds.length),
+        fetchRun: run._id,
+        error,
+        finishedAt: new Date()
+      }
+    }
+  );
+}
+
+/* Runs one job; `lease.lost` is set once the ingest lock could not be renewed */
+async function runJob(job, lease) {
+  // keep the lease and the job's heartbeat fresh while a long fetch runs
+  const heartbeat = setInterval(() => {
+    Promise.all([
+      acquireLock(INGEST_LOCK),
+      Job.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } })
+    ])
+      .then(([renewed]) => {
+        if (renewed) return;
+        lease.lost = true;
+        clearInterval(heartbeat);
+        console.warn(`⚠️ Job ${job._id} lost the ingest lock, stopping before the next feed`);
+      })
+      .catch((err) => console.error('Job heartbeat failed:', err.message));
+  }, HEARTBEAT_INTERVAL);
+
+  try {
+    console.log(`⚙️ Job ${job._id} (${job.type}, ${job.trigger}) started`);
+    await runFetchJob(job, lease);
+    console.log(`⚙️ Job ${job._id} finished`);
+  } catch (err) {
+    console.error(`Job ${job._id} failed:`, err.message);
+    await Job.updateOne({ _id: job._id }, { $set: { status: 'failed', error: err.message, finishedAt: new Date() } });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/* Running jobs nobody has touched for a whole lease: their worker is gone */
+export async function recoverStaleJobs() {
+  const { modifiedCount } = await Job.updateMany(
+    { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - LOCK_TTL) } },
+    { $set: { status: 'failed', error: 'Worker stopped before the job finished', finishedAt: new Date() } }
+  );
+  if (modifiedCount) console.warn(`⚠️ Marked ${modifiedCount} stale job(s) as failed`);
+  return modifiedCount;
+}
+
+/* One pass: fail stale jobs, take the ingest lock, then run queued jobs oldest first until the queue is empty */
+async function work() {
+  if (busy) return;
+  busy = true;
+  try {
+    await recoverStaleJobs();
+    if (!(await Job.exists({ status: 'queued' }))) return;
+    if (!(await acquireLock(INGEST_LOCK))) return;
+    const lease = { lost: false };
+    try {
+      while (!lease.lost) {
+        const now = new Date();
+        const job = await Job.findOneAndUpdate(
+          { status: 'queued' },
+          { $set: { status: 'running', worker: WORKER_ID, startedAt: now, heartbeatAt: now } },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!job) break;
+        await runJob(job, lease);
+      }
+    } finally {
+      await releaseLock(INGEST_LOCK);
+    }
+  } finally {
+    busy = false;
+  }
+}
+
+function kick() {
+  if (!pollTimer) return;
+  setImmediate(() => work().catch((err) => console.error('Job worker error:', err.message)));
+}
+
+/* Starts polling the queue (idempotent); jobs enqueued in this process are picked up right away */
+export function startWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => work().catch((err) => console.error('Job worker error:', err.message)), POLL_INTERVAL);
+  kick();
+}
@@ -0,0 +1,121 @@
+// server/services/opmlServices.js
+import * as cheerio from 'cheerio';
+import { CATEGORIES } from '../models/articles.js';
+
+/**
+ * OPML (outline processor markup) for feed subscriptions
+ * - parseOpml: every outline with an xmlUrl, with the folder / category it was filed under
+ * - mapCategory: a reader's folder name -> one of our categories, when it resembles one
+ * - renderOpml: the Feed collection, one folder per default category
+ */
+
+/* folder keywords -> category, for names that are not a category name already */
+const CATEGORY_HINTS = [
+  [/\b(m&a|m and a|mergers?|acquisitions?|private (equity|markets?|capital)|venture|pe|vc)\b/i, 'Private Markets & M&A'],
+  [/\b(africa|african|nigeria|kenya|ghana|south africa|egypt)\b/i, 'Africa Finance'],
+  [/\b(leadership|cfo|management|people|culture)\b/i, 'Leadership & Conscious CFO'],
+  [/\b(operations?|operational|efficiency|supply chain|productivity)\b/i, 'Operational Excellence'],
+  [/\b(capital|strategy|corporate finance|treasury|markets?|economy|economics)\b/i, 'Capital Strategy']
+];
+
+function normalizeLabel(label) {
+  return label.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/* Folder / category label -> CATEGORIES value, or null when nothing fits */
+export function mapCategory(label) {
+  if (!label) return null;
+  // OPML category attributes are comma separated slash paths ("/Finance/Africa,News")
+  for (const part of label.split(',').flatMap((p) => p.split('/').reverse())) {
+    const wanted = normalizeLabel(part);
+    if (!wanted) continue;
+    const exact = CATEGORIES.find((c) => c !== 'Uncategorized' && normalizeLabel(c) === wanted);
+    if (exact) return exact;
+    const hinted = CATEGORY_HINTS.find(([re]) => re.test(part));
+    if (hinted) return hinted[1];
+  }
+  return null;
+}
+
+/* -> [{ name, url, htmlUrl, folder, category, enabled }] in document order; throws a 400 error on unreadable input */
+export function parseOpml(xml) {
+  const $ = cheerio.load(String(xml || ''), { xmlMode: true });
+  if ($('opml').length === 0 || $('opml > body').length === 0) {
+    const err = new Error('Not an OPML document (expected <opml><body>...)');
+    err.status = 400;
+    throw err;
+  }
+
+  const entries = [];
+  $('outline').each((_, el) => {
+    const outline = $(el);
+    const url = (outline.attr('xmlUrl') || outline.attr('xmlurl') || '').trim();
+    if (!url) return;
+
+    // nearest enclosing folder outline (one without an xmlUrl of its own)
+    const folder = outline
+      .parents('outline')
+      .filter((__, p) => !$(p).attr('xmlUrl') && !$(p).attr('xmlurl'))
+      .first();
+    const folderName = folder.length ? (folder.attr('text') || folder.attr('title') || '').trim() : '';
+    const categoryAttr = (outline.attr('category') || '').trim();
+
+    entries.push({
+      name: (outline.attr('title') || outline.attr('text') || '').trim(),
+      url,
+      htmlUrl: (outline.attr('htmlUrl') || '').trim() || null,
+      folder: folderName || categoryAttr || null,
+      category: mapCategory(categoryAttr) || mapCategory(folderName),
+      enabled: outline.attr('isDisabled') !== 'true'
+    });
+  });
+  return entries;
+}
+
+function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function feedOutline(feed, indent) {
+  const disabled = feed.enabled === false ? ' isDisabled="true"' : '';
+  return `${indent}<outline type="rss" text="${escapeXml(feed.name)}" title="${escapeXml(feed.name)}" xmlUrl="${escapeXml(feed.url)}"${disabled}/>`;
+}
+
+/* Feeds -> OPML 2.0, grouped in one folder per defaultCategory (Uncategorized feeds at the top level) */
+export function renderOpml(feeds, { title = 'Gaetan Feed sources', now = new Date() } = {}) {
+  const byCategory = new Map();
+  for (const feed of feeds) {
+    const key = feed.defaultCategory || 'Uncategorized';
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(feed);
+  }
+
+  const lines = [];
+  for (const category of CATEGORIES) {
+    const group = byCategory.get(category);
+    if (!group) continue;
+    if (category === 'Uncategorized') {
+      lines.push(...group.map((f) => feedOutline(f, '    ')));
+      continue;
+    }
+    lines.push(`    <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`);
+    lines.push(...group.map((f) => feedOutline(f, '      ')));
+    lines.push('    </outline>');
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(title)}</title>
+    <dateCreated>${now.toUTCString()}</dateCreated>
+  </head>
+  <body>
+${lines.join('\n')}
+  </body>
+</opml>
+`;
+}
@@ -0,0 +1,141 @@
+// server/services/outboundServices.js
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import { getConfig } from '../config.js';
+
+/**
+ * Guarded outbound HTTP for feed fetching, page scraping and watch webhooks
+ * - http(s) only; hosts on FETCH_BLOCKED_HOSTS are refused everywhere, and ad-hoc feeds
+ *   (POST /api/fetch-feeds body) must be on FETCH_ALLOWED_HOSTS when that list is set
+ *   (config.js; `example.com` also covers its subdomains)
+ * - private, loopback, link-local and other non-public addresses are refused: literal IPs up
+ *   front, host names at connect time through the agents' DNS lookup (so a name cannot
+ *   resolve to something else between the check and the request)
+ * - GET redirects are followed by hand, every hop goes through the same checks; POSTs never redirect
+ * - responses larger than the caller's byte limit are aborted
+ */
+
+const MAX_REDIRECTS = 3;
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['::ffff:0:0', 96], // IPv4-mapped, in case it reaches here unconverted
+  ['64:ff9b::', 96], // NAT64, embeds an IPv4 address
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+function listed(hostname, list) {
+  return list.some((entry) => hostname === entry || hostname.endsWith(`.${entry}`));
+}
+
+function blocked(message) {
+  const err = new Error(message);
+  err.code = 'EBLOCKEDHOST';
+  return err;
+}
+
+/* true for any address that is not publicly routable (IPv4-mapped IPv6 checked as IPv4) */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/* Why `rawUrl` may not be fetched, or null when it may. `adHoc` also applies FETCH_ALLOWED_HOSTS. */
+export function urlRejection(rawUrl, { adHoc = false } = {}) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return 'not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'only http and https URLs can be fetched';
+  if (url.username || url.password) return 'URLs with credentials are not allowed';
+
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) return `${hostname} is a private or reserved address`;
+  const { fetchAllowedHosts: allowed, fetchBlockedHosts } = getConfig();
+  if (listed(hostname, fetchBlockedHosts)) return `${hostname} is on the blocked host list`;
+  if (adHoc && allowed.length > 0 && !listed(hostname, allowed)) return `${hostname} is not on the allowed host list`;
+  return null;
+}
+
+/* dns.lookup that fails when any address of the name is private; used by every guarded connection */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => isPrivateAddress(a.address));
+    if (bad) return callback(blocked(`${hostname} resolves to a private or reserved address (${bad.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: guardedLookup });
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/* axios.get with the checks above. `maxBytes` caps the (decompressed) body; `adHoc` as in urlRejection.
+   Other options are passed to axios; `validateStatus` applies to the final response only. */
+export async function guardedGet(rawUrl, { maxBytes, maxRedirects = MAX_REDIRECTS, adHoc = false, validateStatus, ...options } = {}) {
+  const accept = validateStatus || ((status) => status >= 200 && status < 300);
+  let url = rawUrl;
+
+  for (let hop = 0; ; hop++) {
+    const rejection = urlRejection(url, { adHoc });
+    if (rejection) throw blocked(`Refusing to fetch ${url}: ${rejection}`);
+
+    const res = await axios.get(url, {
+      ...options,
+      httpAgent,
+      httpsAgent,
+      maxRedirects: 0,
+      maxContentLength: maxBytes,
+      validateStatus: (status) => REDIRECT_STATUSES.includes(status) || accept(status)
+    });
+
+    if (!REDIRECT_STATUSES.includes(res.status)) return res;
+    if (!res.headers.location) throw new Error(`Redirect without a location from ${url}`);
+    if (hop >= maxRedirects) throw new Error(`Too many redirects fetching ${rawUrl}`);
+    url = new URL(res.headers.location, url).toString();
+  }
+}
+
+/* axios.post with the same checks and no redirects (webhooks). `maxBytes` caps the response body. */
+export async function guardedPost(rawUrl, data, { maxBytes, ...options } = {}) {
+  const rejection = urlRejection(rawUrl);
+  if (rejection) throw blocked(`Refusing to post to ${rawUrl}: ${rejection}`);
+  return axios.post(rawUrl, data, { ...options, httpAgent, httpsAgent, maxRedirects: 0, maxContentLength: maxBytes });
+}
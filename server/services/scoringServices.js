@@ -0,0 +1,140 @@
+// server/services/scoringServices.js
+import Article from '../models/articles.js';
+import Feed from '../models/feeds.js';
+
+/**
+ * Relevance scoring (1–5)
+ * Blends five factors, each normalised to 0..1:
+ * - content:    strength of the best keyword-rule match (tags[0].score)
+ * - category:   how much the category matters to a CFO (CATEGORY_PRIORITY)
+ * - source:     per-feed sourceWeight (0–2, default 1)
+ * - freshness:  exponential decay with a FRESHNESS_HALF_LIFE_HOURS half-life
+ * - engagement: reads and saves across all users (saves count triple)
+ * Every score is stored with its explanation; recomputeScores() refreshes
+ * freshness and engagement periodically, for the articles where they can still move the score.
+ */
+
+export const CATEGORY_PRIORITY = {
+  'Private Markets & M&A': 5,
+  'Africa Finance': 5,
+  'Capital Strategy': 4,
+  'Operational Excellence': 4,
+  'Leadership & Conscious CFO': 3,
+  'Uncategorized': 1
+};
+
+const FACTOR_WEIGHTS = {
+  content: 0.3,
+  category: 0.2,
+  source: 0.15,
+  freshness: 0.2,
+  engagement: 0.15
+};
+
+const CONTENT_SATURATION = 6; // tag score that counts as a perfect keyword match
+const FRESHNESS_HALF_LIFE_HOURS = 48;
+const ENGAGEMENT_SATURATION = 5; // log2(1 + reads + 3 * saves) at full engagement
+const RECOMPUTE_BATCH = 500;
+// past 7 half-lives freshness is worth < 0.01 points, so older articles keep their score
+const RESCORE_WINDOW_HOURS = 7 * FRESHNESS_HALF_LIFE_HOURS;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+/*
+ * article: { category, tags, publishedDate, engagement: { reads, saves } }
+ * -> { score, explanation: [{ factor, value, weight, points, detail }] }
+ */
+export function scoreArticle(article, { sourceWeight = 1, now = Date.now() } = {}) {
+  const topTag = article.tags?.[0];
+  const ageHours = Math.max(0, (now - new Date(article.publishedDate || now).getTime()) / 36e5);
+  const reads = article.engagement?.reads || 0;
+  const saves = article.engagement?.saves || 0;
+  const priority = CATEGORY_PRIORITY[article.category] || 2;
+
+  const factors = [
+    {
+      factor: 'content',
+      value: clamp01((topTag?.score || 0) / CONTENT_SATURATION),
+      detail: topTag ? `keyword match ${topTag.score} for ${topTag.category}` : 'no keyword match'
+    },
+    {
+      factor: 'category',
+      value: priority / 5,
+      detail: `${article.category || 'Uncategorized'} priority ${priority}/5`
+    },
+    {
+      factor: 'source',
+      value: clamp01(sourceWeight / 2),
+      detail: `source weight ${sourceWeight}`
+    },
+    {
+      factor: 'freshness',
+      value: 0.5 ** (ageHours / FRESHNESS_HALF_LIFE_HOURS),
+      detail: ageHours < 48 ? `${Math.round(ageHours)}h old` : `${Math.round(ageHours / 24)} days old`
+    },
+    {
+      factor: 'engagement',
+      value: clamp01(Math.log2(1 + reads + 3 * saves) / ENGAGEMENT_SATURATION),
+      detail: `${reads} reads, ${saves} saves`
+    }
+  ];
+
+  let raw = 0;
+  const explanation = factors.map((f) => {
+    const weight = FACTOR_WEIGHTS[f.factor];
+    raw += f.value * weight;
+    // points on the 1–5 scale this factor contributed
+    return { ...f, value: round(f.value, 3), weight, points: round(f.value * weight * 4) };
+  });
+
+  return { score: round(1 + 4 * raw), explanation };
+}
+
+/* feed name -> sourceWeight */
+export async function loadSourceWeights() {
+  const feeds = await Feed.find({}, { name: 1, sourceWeight: 1 }).lean();
+  return new Map(feeds.map((f) => [f.name, f.sourceWeight ?? 1]));
+}
+
+/* Recompute the scores that can have moved: articles still inside the freshness window, plus any
+   marked scoreStale (engagement or source weight changed). Only changed scores are written.
+   Returns { scanned, changed }. */
+export async function recomputeScores() {
+  const weights = await loadSourceWeights();
+  const now = Date.now();
+  let scanned = 0;
+  let changed = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const res = await Article.bulkWrite(ops, { ordered: false });
+    changed += res.modifiedCount;
+    ops = [];
+  };
+
+  const windowStart = new Date(now - RESCORE_WINDOW_HOURS * 36e5);
+  const cursor = Article.find(
+    { $or: [{ publishedDate: { $gte: windowStart } }, { scoreStale: true }] },
+    { category: 1, tags: 1, publishedDate: 1, engagement: 1, source: 1, relevanceScore: 1, scoreStale: 1 }
+  )
+    .lean()
+    .cursor();
+  for await (const article of cursor) {
+    scanned++;
+    const { score, explanation } = scoreArticle(article, { sourceWeight: weights.get(article.source) ?? 1, now });
+    if (score === article.relevanceScore && !article.scoreStale) continue;
+    ops.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { relevanceScore: score, scoreExplanation: explanation, scoredAt: new Date(now), scoreStale: false } }
+      }
+    });
+    if (ops.length >= RECOMPUTE_BATCH) await flush();
+  }
+  await flush();
+
+  console.log(`📈 Rescored ${scanned} articles (${changed} changed)`);
+  return { scanned, changed };
+}
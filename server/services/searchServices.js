@@ -0,0 +1,90 @@
+// server/services/searchServices.js
+
+/**
+ * Helpers for full-text search over articles
+ * - turns the user's `q` into the terms MongoDB $text will match
+ * - builds highlighted title / snippet segments for the client
+ *   ([{ text, hit }] so the client never has to render raw HTML)
+ */
+
+const SNIPPET_RADIUS = 90; // characters kept on each side of the first hit
+const MAX_TERMS = 10;
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* Terms to highlight: quoted phrases and words, without negated (-word) terms */
+export function searchTerms(q = '') {
+  const terms = [];
+  const re = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let m;
+  while ((m = re.exec(q)) && terms.length < MAX_TERMS) {
+    const negated = m[1] || m[3];
+    const term = (m[2] || m[4] || '').replace(/["']/g, '').trim();
+    if (!negated && term.length > 1) terms.push(term.toLowerCase());
+  }
+  return terms;
+}
+
+/* Crude suffix stripping, close enough to $text stemming for highlighting */
+function stem(term) {
+  if (term.includes(' ') || term.length <= 4) return term;
+  return term.replace(/(ing|ed|es|s)$/, '');
+}
+
+/* Matches a stemmed term as a word prefix so "eurobonds" also highlights "eurobond" */
+function termsRegex(terms) {
+  if (terms.length === 0) return null;
+  const parts = terms
+    .map(stem)
+    .sort((a, b) => b.length - a.length)
+    .map((t) => `${escapeRegex(t)}[\\w'-]*`);
+  return new RegExp(`\\b(?:${parts.join('|')})`, 'gi');
+}
+
+export function highlight(text = '', terms = []) {
+  const re = termsRegex(terms);
+  if (!text || !re) return text ? [{ text, hit: false }] : [];
+
+  const segments = [];
+  let last = 0;
+  for (const m of text.matchAll(re)) {
+    if (m.index > last) segments.push({ text: text.slice(last, m.index), hit: false });
+    segments.push({ text: m[0], hit: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), hit: false });
+  return segments;
+}
+
+/* A window of `text` around the first hit, highlighted */
+export function snippet(text = '', terms = []) {
+  if (!text) return [];
+  const re = termsRegex(terms);
+  const first = re ? re.exec(text) : null;
+
+  let start = 0;
+  let end = Math.min(text.length, SNIPPET_RADIUS * 2);
+  if (first) {
+    start = Math.max(0, first.index - SNIPPET_RADIUS);
+    end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  }
+
+  let window = text.slice(start, end);
+  if (start > 0) window = `…${window}`;
+  if (end < text.length) window = `${window}…`;
+  return highlight(window, terms);
+}
+
+/* Adds `highlights` to a lean article returned by a $text query */
+export function withHighlights(article, q) {
+  const terms = searchTerms(q);
+  return {
+    ...article,
+    highlights: {
+      title: highlight(article.title, terms),
+      snippet: snippet(article.description, terms)
+    }
+  };
+}
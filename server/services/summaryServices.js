@@ -0,0 +1,140 @@
+// server/services/summaryServices.js
+import Article from '../models/articles.js';
+import { tokenize } from './classifierServices.js';
+
+/**
+ * Offline extractive summarization
+ * - sentences are TF-IDF vectors (IDF within the article), linked by cosine similarity
+ * - TextRank (PageRank over that graph) scores them, with a small bonus for the lede
+ * - the best SUMMARY_SENTENCES are returned in their original order
+ */
+
+const SUMMARY_SENTENCES = 3;
+const MIN_SENTENCE_CHARS = 40;
+const MAX_SENTENCE_CHARS = 280;
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+const LEDE_BONUS = 1.15;
+// TextRank compares every pair of sentences; only the opening ones of long texts are ranked
+const MAX_RANKED_SENTENCES = 120;
+const REBUILD_BATCH = 200;
+
+const ABBREVIATIONS = /\b(?:Mr|Mrs|Ms|Dr|Prof|Inc|Ltd|Co|Corp|St|No|vs|etc|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|[A-Z])\.$/;
+
+export function splitSentences(text = '') {
+  const sentences = [];
+  for (const block of text.split(/\n+/)) {
+    let current = '';
+    // candidate boundaries: . ! ? (optionally closing quote/bracket) followed by whitespace
+    for (const part of block.split(/(?<=[.!?]["'”’)\]]?)\s+/)) {
+      current = current ? `${current} ${part}` : part;
+      if (!ABBREVIATIONS.test(current)) {
+        sentences.push(current.trim());
+        current = '';
+      }
+    }
+    if (current.trim()) sentences.push(current.trim());
+  }
+  return sentences.filter(Boolean);
+}
+
+function truncate(sentence) {
+  if (sentence.length <= MAX_SENTENCE_CHARS) return sentence;
+  return `${sentence.slice(0, MAX_SENTENCE_CHARS).replace(/\s+\S*$/, '')}…`;
+}
+
+function tfidfVectors(tokenLists) {
+  const df = new Map();
+  for (const tokens of tokenLists) for (const t of new Set(tokens)) df.set(t, (df.get(t) || 0) + 1);
+
+  const n = tokenLists.length;
+  return tokenLists.map((tokens) => {
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    const vec = new Map();
+    let norm = 0;
+    for (const [t, count] of tf) {
+      const w = (count / tokens.length) * Math.log(1 + n / df.get(t));
+      vec.set(t, w);
+      norm += w * w;
+    }
+    return { vec, norm: Math.sqrt(norm) };
+  });
+}
+
+function cosine(a, b) {
+  if (!a.norm || !b.norm) return 0;
+  let dot = 0;
+  const [small, large] = a.vec.size < b.vec.size ? [a.vec, b.vec] : [b.vec, a.vec];
+  for (const [t, w] of small) if (large.has(t)) dot += w * large.get(t);
+  return dot / (a.norm * b.norm);
+}
+
+function textRank(vectors) {
+  const n = vectors.length;
+  const weights = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 0 : cosine(a, b))));
+  const outSums = weights.map((row) => row.reduce((s, w) => s + w, 0));
+
+  let scores = new Array(n).fill(1 / n);
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    scores = scores.map((_, i) => {
+      let rank = 0;
+      for (let j = 0; j < n; j++) if (outSums[j] > 0) rank += (weights[j][i] / outSums[j]) * scores[j];
+      return (1 - DAMPING) / n + DAMPING * rank;
+    });
+  }
+  return scores;
+}
+
+/* -> up to SUMMARY_SENTENCES sentences of `text`, in reading order */
+export function summarize(text = '', count = SUMMARY_SENTENCES) {
+  const sentences = splitSentences(text)
+    .filter((s) => s.length >= MIN_SENTENCE_CHARS)
+    .slice(0, MAX_RANKED_SENTENCES);
+  if (sentences.length <= count) return sentences.map(truncate);
+
+  const vectors = tfidfVectors(sentences.map((s) => tokenize(s)));
+  const scores = textRank(vectors);
+  scores[0] *= LEDE_BONUS;
+
+  return scores
+    .map((score, index) => ({ score, index }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(({ index }) => truncate(sentences[index]));
+}
+
+/* Summary fields for an article: extracted body text when we have it, the feed description otherwise */
+export function summaryFields({ contentText, description }) {
+  return { summary: summarize(contentText || description || ''), summarizedAt: new Date() };
+}
+
+/* Re-summarize stored articles. Returns { scanned, summarized }. */
+export async function resummarizeArticles({ ids, missingOnly = false, days } = {}) {
+  const filter = {};
+  if (ids?.length) filter._id = { $in: ids };
+  if (missingOnly) filter.summarizedAt = null;
+  if (days) filter.publishedDate = { $gte: new Date(Date.now() - days * 864e5) };
+
+  let scanned = 0;
+  let summarized = 0;
+  let ops = [];
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const res = await Article.bulkWrite(ops, { ordered: false });
+    summarized += res.modifiedCount;
+    ops = [];
+  };
+
+  const cursor = Article.find(filter, { description: 1, contentText: 1 }).lean().cursor();
+  for await (const article of cursor) {
+    scanned++;
+    ops.push({ updateOne: { filter: { _id: article._id }, update: { $set: summaryFields(article) } } });
+    if (ops.length >= REBUILD_BATCH) await flush();
+  }
+  await flush();
+
+  console.log(`📝 Summarized ${summarized} of ${scanned} articles`);
+  return { scanned, summarized };
+}
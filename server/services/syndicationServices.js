@@ -0,0 +1,142 @@
+// server/services/syndicationServices.js
+import { CATEGORIES } from '../models/articles.js';
+
+/**
+ * Republishing the curated article list as feeds
+ * - RSS 2.0, Atom 1.0 and JSON Feed 1.1 renderers over lean articles
+ * - categories are addressed by slug in URLs ("Finance & Markets" -> "finance-markets")
+ */
+
+const SITE_TITLE = 'Gaetan Feed';
+const DEFAULT_APP_URL = 'https://gaetan-feed.vercel.app';
+
+export const FEED_FORMATS = {
+  xml: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+export function categorySlug(category) {
+  return category.toLowerCase().replace(/&/g, ' ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/* slug -> category name, 'all' for the unfiltered feed, undefined when unknown */
+export function categoryFromSlug(slug) {
+  if (slug === 'all') return 'all';
+  return CATEGORIES.find((c) => categorySlug(c) === slug);
+}
+
+/* Read lazily: this module is imported before server.js runs dotenv.config() */
+function appUrl() {
+  return process.env.PUBLIC_APP_URL || DEFAULT_APP_URL;
+}
+
+function escapeXml(value = '') {
+  return String(value)
+    // characters XML 1.0 does not allow at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function plainText(html = '') {
+  return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/* Summary bullets when we have them, the feed description otherwise */
+function itemSummary(article) {
+  if (article.summary?.length) return article.summary.join(' ');
+  return plainText(article.description || '');
+}
+
+/* Newest updatedAt of the items: the Last-Modified of the feed */
+export function lastModified(articles) {
+  let latest = 0;
+  for (const a of articles) latest = Math.max(latest, new Date(a.updatedAt || a.publishedDate).getTime() || 0);
+  return latest ? new Date(latest) : null;
+}
+
+/* feed: { title, description, selfUrl, updated } */
+export function renderRss(feed, articles) {
+  const items = articles.map((a) => `    <item>
+      <title>${escapeXml(a.title)}</title>
+      <link>${escapeXml(a.url)}</link>
+      <guid isPermaLink="true">${escapeXml(a.url)}</guid>
+      <pubDate>${new Date(a.publishedDate).toUTCString()}</pubDate>
+      <description>${escapeXml(itemSummary(a))}</description>
+      <category>${escapeXml(a.category)}</category>
+      <dc:creator>${escapeXml(a.source)}</dc:creator>${a.image ? `
+      <enclosure url="${escapeXml(a.image)}" length="0" type="image/jpeg"/>` : ''}
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(appUrl())}</link>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(feed.description)}</description>
+    <lastBuildDate>${(feed.updated || new Date()).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed, articles) {
+  const entries = articles.map((a) => `  <entry>
+    <id>${escapeXml(a.url)}</id>
+    <title>${escapeXml(a.title)}</title>
+    <link rel="alternate" href="${escapeXml(a.url)}"/>
+    <published>${new Date(a.publishedDate).toISOString()}</published>
+    <updated>${new Date(a.updatedAt || a.publishedDate).toISOString()}</updated>
+    <author><name>${escapeXml(a.source)}</name></author>
+    <category term="${escapeXml(a.category)}"/>
+    <summary>${escapeXml(itemSummary(a))}</summary>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>
+  <link rel="alternate" href="${escapeXml(appUrl())}"/>
+  <updated>${(feed.updated || new Date()).toISOString()}</updated>
+  <author><name>${SITE_TITLE}</name></author>
+${entries}
+</feed>
+`;
+}
+
+export function renderJsonFeed(feed, articles) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: appUrl(),
+    feed_url: feed.selfUrl,
+    items: articles.map((a) => ({
+      id: String(a._id),
+      url: a.url,
+      title: a.title,
+      summary: itemSummary(a),
+      content_text: a.summary?.length ? a.summary.map((s) => `• ${s}`).join('\n') : plainText(a.description || ''),
+      image: a.image || undefined,
+      date_published: new Date(a.publishedDate).toISOString(),
+      date_modified: new Date(a.updatedAt || a.publishedDate).toISOString(),
+      authors: [{ name: a.source }],
+      tags: [a.category, ...(a.tags || []).map((t) => t.category).filter((c) => c !== a.category)]
+    }))
+  }, null, 2);
+}
+
+export const RENDERERS = { xml: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+export function feedTitle(category, saved) {
+  if (saved) return `${SITE_TITLE} — Saved articles`;
+  return category === 'all' ? `${SITE_TITLE} — Top stories` : `${SITE_TITLE} — ${category}`;
+}